@@ -6,6 +6,11 @@ const express = require('express');
 const router = express.Router();
 const ChunkingEngine = require('../services/chunking-engine');
 const RAGEngine = require('../services/rag-engine');
+const { createConversationStore } = require('../services/conversation-store');
+const { AUTOFILL_INCLUDE } = require('../services/autofill-plan');
+const { validateFilters } = require('../services/search-filters');
+const TemplateValidator = require('../services/template-validator');
+const TemplateAssembler = require('../services/template-assembler');
 
 // Инициализация сервисов
 const chunker = new ChunkingEngine({
@@ -14,11 +19,36 @@ const chunker = new ChunkingEngine({
   overlapSize: 50
 });
 
+const validator = new TemplateValidator();
+const assembler = new TemplateAssembler();
+
 const rag = new RAGEngine({
   anthropicApiKey: process.env.ANTHROPIC_API_KEY,
   openaiApiKey: process.env.OPENAI_API_KEY,
+  embeddingProvider: process.env.EMBEDDING_PROVIDER || 'openai',
+  embeddingModel: process.env.EMBEDDING_MODEL,
+  embeddingBaseUrl: process.env.EMBEDDING_BASE_URL,
+  embeddingApiKey: process.env.EMBEDDING_API_KEY,
+  embeddingDimensions: parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || undefined,
+  redisUrl: process.env.REDIS_URL,
+  embeddingCacheDir: process.env.EMBEDDING_CACHE_DIR,
+  vectorStore: process.env.VECTOR_STORE || 'chroma',
+  vectorStorePath: process.env.VECTOR_STORE_PATH,
   chromaUrl: process.env.CHROMA_URL || 'http://localhost:8000',
-  collectionName: 'planner-chunks'
+  collectionName: 'planner-chunks',
+  searchMode: process.env.SEARCH_MODE || 'hybrid',
+  reranker: process.env.RERANKER || 'none',
+  rerankCandidates: parseInt(process.env.RERANKER_CANDIDATES, 10) || 12,
+  contextTokenBudget: parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10) || 3000,
+  historyTokenBudget: parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || 1500,
+  autofillRetries: parseInt(process.env.AUTOFILL_RETRIES, 10),
+  autofillBatchLimit: parseInt(process.env.AUTOFILL_BATCH_LIMIT, 10) || 10
+});
+
+// Сессии разговоров AI помощника
+const conversations = createConversationStore({
+  directory: process.env.CONVERSATIONS_DIR,
+  maxSessions: parseInt(process.env.MAX_CONVERSATIONS, 10) || 500
 });
 
 // Инициализация RAG при старте
@@ -26,13 +56,111 @@ rag.initialize().catch(err => {
   console.error('Failed to initialize RAG:', err);
 });
 
+conversations.initialize().catch(err => {
+  console.error('Failed to initialize conversations:', err);
+});
+
+/**
+ * Сессия для вопроса: продолжение существующей или новая (сохраняется
+ * только вместе с первым ответом)
+ * @param {string} [sessionId]
+ * @param {string} question - Заголовок новой сессии
+ * @param {Object} context
+ * @returns {Promise<Object|null>} null - сессия sessionId не найдена
+ */
+async function openConversation(sessionId, question, context) {
+  if (sessionId) {
+    return conversations.get(sessionId);
+  }
+  return conversations.create({ templateId: context.templateId, title: question });
+}
+
+/**
+ * Контекст вопроса с текущими значениями формы
+ * @param {Object} body - Тело запроса /api/ask
+ * @returns {Object|null} null - formData не объект
+ */
+function askContext(body) {
+  const { context = {}, formData } = body;
+
+  if (formData === undefined) return context;
+  if (!formData || typeof formData !== 'object' || Array.isArray(formData)) return null;
+  return { ...context, formData };
+}
+
+/**
+ * Сохранение вопроса и ответа в сессии (по очереди с другими вопросами
+ * этой сессии)
+ * @param {Object} session
+ * @param {string} question
+ * @param {Object} result - Результат answerQuestion / streamAnswer
+ * @returns {Promise<Object|null>} null - сессию удалили, пока шёл ответ
+ */
+async function recordTurn(session, question, result) {
+  const createdAt = new Date().toISOString();
+
+  return conversations.update(session, current => {
+    current.messages.push(
+      { role: 'user', content: question, createdAt },
+      {
+        role: 'assistant',
+        content: result.answer,
+        sources: result.sources,
+        citations: result.citations,
+        confidence: result.confidence,
+        createdAt
+      }
+    );
+  });
+}
+
+/**
+ * Сворачивание длинной истории после ответа: пересказ Claude не задерживает
+ * ответ клиенту, ошибка только логируется
+ * @param {Object} session
+ */
+function compactLater(session) {
+  conversations.update(session, current => rag.compactConversation(current))
+    .catch(error => {
+      console.warn(`⚠️  Conversation ${session.id} compaction failed: ${error.message}`);
+    });
+}
+
+/**
+ * Ответ потоком Server-Sent Events
+ * @param {Object} res - Express response
+ * @returns {{send: Function, signal: AbortSignal}} send(event, data) - событие,
+ *   signal - прерывается, когда клиент закрыл соединение
+ */
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  return { send, signal: controller.signal };
+}
+
 /**
  * POST /api/chunk
  * Разбивает шаблон на чанки
  */
 router.post('/chunk', async (req, res) => {
   try {
-    const { template } = req.body;
+    const { template, source, previous } = req.body;
 
     if (!template || !template.sections) {
       return res.status(400).json({
@@ -40,7 +168,9 @@ router.post('/chunk', async (req, res) => {
       });
     }
 
-    const chunkedTemplate = chunker.chunkTemplate(template);
+    // source - исходный текст файла шаблона, чтобы номера строк совпадали с ним;
+    // previous - прошлое разбиение для отчёта об изменениях (changes)
+    const chunkedTemplate = chunker.chunkTemplate(template, { source, previous });
     const stats = chunker.getStatistics(chunkedTemplate.chunks);
 
     res.json({
@@ -57,13 +187,138 @@ router.post('/chunk', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/templates/validate
+ * Проверка шаблона: JSON Schema + ссылки, циклы, regex, options
+ */
+router.post('/templates/validate', (req, res) => {
+  try {
+    const { template } = req.body;
+
+    if (!template || typeof template !== 'object') {
+      return res.status(400).json({
+        error: 'Template is required. Required: { template: {...} }'
+      });
+    }
+
+    const report = validator.validate(template);
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Validation error:', error);
+    res.status(500).json({
+      error: 'Failed to validate template',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/templates/assemble
+ * Сборка шаблона из чанков; с edits - внесение отредактированных чанков.
+ * template - результат /api/chunk (или исходный шаблон, он будет разбит заново)
+ */
+router.post('/templates/assemble', (req, res) => {
+  try {
+    const { template, source, edits } = req.body;
+
+    if (!template || !(template.chunks || template.sections)) {
+      return res.status(400).json({
+        error: 'Invalid template format. Required: { template: { chunks: [...] }, edits: [...] }'
+      });
+    }
+
+    if (edits !== undefined && !Array.isArray(edits)) {
+      return res.status(400).json({
+        error: 'Invalid edits format. Required: { edits: [{ id, contentHash, content }] }'
+      });
+    }
+
+    const chunkedTemplate = template.chunks ? template : chunker.chunkTemplate(template, { source });
+
+    if (!edits) {
+      return res.json({
+        success: true,
+        template: assembler.assemble(chunkedTemplate)
+      });
+    }
+
+    const result = assembler.applyEdits(chunkedTemplate, edits);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error.conflicts) {
+      return res.status(409).json({
+        error: 'Conflicting chunk edits',
+        details: error.message,
+        conflicts: error.conflicts
+      });
+    }
+
+    console.error('Assemble error:', error);
+    res.status(500).json({
+      error: 'Failed to assemble template',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/templates/:id/reindex
+ * Разбиение шаблона и индексация за один шаг. Индексация идемпотентна:
+ * неизменённые чанки пропускаются, чанки прежней версии удаляются.
+ */
+router.post('/templates/:id/reindex', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { template, source, fields = false } = req.body;
+
+    if (!template || !template.sections) {
+      return res.status(400).json({
+        error: 'Invalid template format. Required: { template: { sections: [...] } }'
+      });
+    }
+
+    if (template.id && template.id !== id) {
+      return res.status(400).json({
+        error: `Template id ${template.id} does not match ${id}`
+      });
+    }
+
+    const chunkedTemplate = chunker.chunkTemplate({ ...template, id }, { source });
+    const result = await rag.indexChunks(chunkedTemplate.chunks, id, {
+      fields,
+      category: template.metadata?.category
+    });
+
+    res.json({
+      success: result.failed === 0,
+      ...result,
+      template: chunkedTemplate,
+      stats: chunker.getStatistics(chunkedTemplate.chunks)
+    });
+  } catch (error) {
+    console.error('Reindex error:', error);
+    res.status(500).json({
+      error: 'Failed to reindex template',
+      details: error.message
+    });
+  }
+});
+
 /**
  * POST /api/index
  * Индексирует чанки в векторную БД
  */
 router.post('/index', async (req, res) => {
   try {
-    const { chunks, templateId } = req.body;
+    const { chunks, templateId, fields = false, category } = req.body;
 
     if (!chunks || !Array.isArray(chunks)) {
       return res.status(400).json({
@@ -71,10 +326,13 @@ router.post('/index', async (req, res) => {
       });
     }
 
-    const result = await rag.indexChunks(chunks, templateId || 'default');
+    // Чанки с failed можно доиндексировать повторным запросом - готовые пропускаются
+    // fields: true - каждое поле индексируется и как отдельный документ
+    // category - metadata.category шаблона для фильтров поиска
+    const result = await rag.indexChunks(chunks, templateId || 'default', { fields, category });
 
     res.json({
-      success: true,
+      success: result.failed === 0,
       ...result
     });
   } catch (error) {
@@ -88,11 +346,11 @@ router.post('/index', async (req, res) => {
 
 /**
  * POST /api/search
- * Семантический поиск по чанкам
+ * Поиск по чанкам: vector, keyword (BM25) или hybrid
  */
 router.post('/search', async (req, res) => {
   try {
-    const { query, topK = 3, templateId, tags } = req.body;
+    const { query, topK = 3, templateId, tags, filters, mode, fields = false, fieldTopK } = req.body;
 
     if (!query) {
       return res.status(400).json({
@@ -100,10 +358,27 @@ router.post('/search', async (req, res) => {
       });
     }
 
+    if (mode && !RAGEngine.SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: `Invalid mode. Allowed: ${RAGEngine.SEARCH_MODES.join(', ')}`
+      });
+    }
+
+    const filtersError = validateFilters(filters);
+    if (filtersError) {
+      return res.status(400).json({
+        error: `Invalid filters: ${filtersError}`
+      });
+    }
+
     const results = await rag.searchChunks(query, {
       topK,
       templateId,
-      tags
+      tags,
+      filters: filters || {},
+      mode,
+      fields,
+      fieldTopK
     });
 
     res.json({
@@ -121,11 +396,15 @@ router.post('/search', async (req, res) => {
 
 /**
  * POST /api/ask
- * Задать вопрос AI помощнику
+ * Задать вопрос AI помощнику. С sessionId вопрос продолжает разговор,
+ * без него создаётся новая сессия (её id приходит в ответе).
+ * formData - текущие значения формы: факты о заполнении (formState)
+ * считаются по полям шаблона context.templateId и идут в промпт
  */
 router.post('/ask', async (req, res) => {
   try {
-    const { question, context = {} } = req.body;
+    const { question, sessionId } = req.body;
+    const context = askContext(req.body);
 
     if (!question) {
       return res.status(400).json({
@@ -133,12 +412,28 @@ router.post('/ask', async (req, res) => {
       });
     }
 
-    const result = await rag.answerQuestion(question, context);
+    if (!context) {
+      return res.status(400).json({
+        error: 'Invalid formData format. Required: { formData: { fieldId: value } }'
+      });
+    }
+
+    const session = await openConversation(sessionId, question, context);
+    if (!session) {
+      return res.status(404).json({
+        error: `Conversation ${sessionId} not found`
+      });
+    }
+
+    const result = await rag.answerQuestion(question, context, { conversation: session });
+    await recordTurn(session, question, result);
 
     res.json({
       success: true,
+      sessionId: session.id,
       ...result
     });
+    compactLater(session);
   } catch (error) {
     console.error('Ask error:', error);
     res.status(500).json({
@@ -148,9 +443,161 @@ router.post('/ask', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/ask/stream
+ * Ответ AI помощника потоком Server-Sent Events:
+ * session → formState (с formData) → sources → token (много раз) →
+ * done { citations, usage, confidence }, при сбое - error. Закрытие
+ * соединения клиентом прерывает генерацию, прерванный ответ в сессию
+ * не сохраняется (новая сессия при этом не создаётся).
+ */
+router.post('/ask/stream', async (req, res) => {
+  const { question, sessionId } = req.body;
+  const context = askContext(req.body);
+
+  if (!question) {
+    return res.status(400).json({
+      error: 'Question is required'
+    });
+  }
+
+  if (!context) {
+    return res.status(400).json({
+      error: 'Invalid formData format. Required: { formData: { fieldId: value } }'
+    });
+  }
+
+  let session;
+  try {
+    session = await openConversation(sessionId, question, context);
+  } catch (error) {
+    console.error('Ask stream error:', error);
+    return res.status(500).json({
+      error: 'Failed to answer question',
+      details: error.message
+    });
+  }
+
+  if (!session) {
+    return res.status(404).json({
+      error: `Conversation ${sessionId} not found`
+    });
+  }
+
+  const { send, signal } = openEventStream(res);
+
+  send('session', { sessionId: session.id });
+
+  try {
+    const result = await rag.streamAnswer(question, context, {
+      onFormState: formState => send('formState', { formState }),
+      onSources: sources => send('sources', { sources }),
+      onToken: text => send('token', { text }),
+      signal,
+      conversation: session
+    });
+    await recordTurn(session, question, result);
+
+    send('done', {
+      citations: result.citations,
+      usage: result.usage,
+      confidence: result.confidence
+    });
+    compactLater(session);
+  } catch (error) {
+    if (signal.aborted) {
+      console.log('   ⏹️ Answer stream cancelled by client');
+    } else {
+      console.error('Ask stream error:', error);
+      send('error', {
+        error: 'Failed to answer question',
+        details: error.message
+      });
+    }
+  } finally {
+    res.end();
+  }
+});
+
+/**
+ * GET /api/conversations
+ * Список сессий разговоров (?templateId= - только по шаблону)
+ */
+router.get('/conversations', async (req, res) => {
+  try {
+    const sessions = await conversations.list({ templateId: req.query.templateId });
+
+    res.json({
+      success: true,
+      conversations: sessions
+    });
+  } catch (error) {
+    console.error('List conversations error:', error);
+    res.status(500).json({
+      error: 'Failed to list conversations',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/conversations/:id
+ * Сессия с перепиской - для продолжения разговора
+ */
+router.get('/conversations/:id', async (req, res) => {
+  try {
+    const session = await conversations.get(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        error: `Conversation ${req.params.id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      conversation: session
+    });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({
+      error: 'Failed to load conversation',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/conversations/:id
+ * Удалить сессию
+ */
+router.delete('/conversations/:id', async (req, res) => {
+  try {
+    const deleted = await conversations.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: `Conversation ${req.params.id} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      deleted: req.params.id
+    });
+  } catch (error) {
+    console.error('Delete conversation error:', error);
+    res.status(500).json({
+      error: 'Failed to delete conversation',
+      details: error.message
+    });
+  }
+});
+
 /**
  * POST /api/autofill
- * Автозаполнение поля
+ * Автозаполнение поля: значение типа поля (число, boolean, массив, строка)
+ * и статус проверки valid | invalid
  */
 router.post('/autofill', async (req, res) => {
   try {
@@ -162,12 +609,12 @@ router.post('/autofill', async (req, res) => {
       });
     }
 
-    const value = await rag.autoFillField(field, formData, templateChunks);
+    const result = await rag.autoFillField(field, formData, templateChunks);
 
     res.json({
       success: true,
       fieldId: field.id,
-      value
+      ...result
     });
   } catch (error) {
     console.error('AutoFill error:', error);
@@ -178,6 +625,92 @@ router.post('/autofill', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/autofill/batch
+ * Пакетное автозаполнение проиндексированного шаблона потоком Server-Sent
+ * Events. Поля берутся из индекса и заполняются в порядке aiDependsOn,
+ * каждое значение попадает в контекст следующих полей:
+ * plan { fields, skipped } → field (на каждое поле) →
+ * done { filled, invalid, failed, skipped, formData }, при сбое - error.
+ */
+router.post('/autofill/batch', async (req, res) => {
+  const { templateId, section, fields, include = 'required', formData = {}, overwrite = false } = req.body;
+
+  if (!templateId) {
+    return res.status(400).json({
+      error: 'templateId is required'
+    });
+  }
+
+  if (!AUTOFILL_INCLUDE.includes(include)) {
+    return res.status(400).json({
+      error: `Invalid include "${include}". Supported: ${AUTOFILL_INCLUDE.join(', ')}`
+    });
+  }
+
+  if (fields !== undefined && (!Array.isArray(fields) || fields.length === 0 || !fields.every(id => typeof id === 'string'))) {
+    return res.status(400).json({
+      error: 'Invalid fields format. Required: { fields: ["field-id", ...] }'
+    });
+  }
+
+  if (!formData || typeof formData !== 'object' || Array.isArray(formData)) {
+    return res.status(400).json({
+      error: 'Invalid formData format. Required: { formData: { fieldId: value } }'
+    });
+  }
+
+  let plan;
+  try {
+    plan = await rag.planTemplateAutoFill(templateId, formData, {
+      fieldIds: fields,
+      section,
+      include,
+      overwrite: overwrite === true
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+    console.error('Batch autofill error:', error);
+    return res.status(500).json({
+      error: 'Failed to auto-fill fields',
+      details: error.message
+    });
+  }
+
+  const { send, signal } = openEventStream(res);
+  const describe = field => ({ fieldId: field.id, label: field.label, path: field.path });
+
+  send('plan', {
+    fields: plan.order.map(describe),
+    skipped: plan.skipped.map(({ field, reason }) => ({ ...describe(field), reason }))
+  });
+
+  try {
+    const result = await rag.autoFillFields(plan, formData, {
+      onField: fieldResult => send('field', fieldResult),
+      signal
+    });
+
+    send('done', result);
+  } catch (error) {
+    if (signal.aborted) {
+      console.log('   ⏹️ Batch autofill cancelled by client');
+    } else {
+      console.error('Batch autofill error:', error);
+      send('error', {
+        error: 'Failed to auto-fill fields',
+        details: error.message
+      });
+    }
+  } finally {
+    res.end();
+  }
+});
+
 /**
  * DELETE /api/index/:templateId
  * Удалить индекс шаблона
@@ -210,8 +743,12 @@ router.get('/health', (req, res) => {
     status: 'ok',
     services: {
       chunking: 'ready',
-      rag: rag.collection ? 'ready' : 'initializing',
-      chroma: process.env.CHROMA_URL || 'http://localhost:8000'
+      rag: rag.initialized ? 'ready' : 'initializing',
+      embeddings: rag.embedder.id,
+      embeddingCache: rag.getEmbeddingCacheStats(),
+      vectorStore: rag.store.name,
+      conversations: conversations.backend,
+      chroma: rag.store.name === 'chroma' ? rag.store.url : null
     },
     timestamp: new Date().toISOString()
   });
@@ -64,10 +64,18 @@ app.get('/', (req, res) => {
     endpoints: {
       health: 'GET /api/health',
       chunk: 'POST /api/chunk',
+      validate: 'POST /api/templates/validate',
+      assemble: 'POST /api/templates/assemble',
+      reindex: 'POST /api/templates/:id/reindex',
       index: 'POST /api/index',
       search: 'POST /api/search',
       ask: 'POST /api/ask',
+      askStream: 'POST /api/ask/stream',
       autofill: 'POST /api/autofill',
+      autofillBatch: 'POST /api/autofill/batch',
+      conversations: 'GET /api/conversations',
+      conversation: 'GET /api/conversations/:id',
+      deleteConversation: 'DELETE /api/conversations/:id',
       deleteIndex: 'DELETE /api/index/:templateId'
     },
     docs: 'https://github.com/svend4/daten4/tree/main/ai-planner'
@@ -98,17 +106,27 @@ app.listen(PORT, () => {
   console.log('================================');
   console.log(`📡 Server running on http://localhost:${PORT}`);
   console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🗄️ ChromaDB: ${process.env.CHROMA_URL || 'http://localhost:8000'}`);
+  if ((process.env.VECTOR_STORE || 'chroma') === 'chroma') {
+    console.log(`🗄️ ChromaDB: ${process.env.CHROMA_URL || 'http://localhost:8000'}`);
+  } else {
+    console.log(`🗄️ Vector store: ${process.env.VECTOR_STORE}`);
+  }
   console.log(`🤖 AI Model: Claude 3.5 Sonnet`);
   console.log('');
   console.log('Available endpoints:');
   console.log(`  GET  /              - API info`);
   console.log(`  GET  /api/health    - Health check`);
   console.log(`  POST /api/chunk     - Chunk template`);
+  console.log(`  POST /api/templates/validate - Validate template`);
+  console.log(`  POST /api/templates/assemble - Rebuild template from chunks`);
+  console.log(`  POST /api/templates/:id/reindex - Chunk and index template`);
   console.log(`  POST /api/index     - Index chunks`);
   console.log(`  POST /api/search    - Search chunks`);
   console.log(`  POST /api/ask       - Ask AI question`);
+  console.log(`  POST /api/ask/stream - Ask AI question (SSE)`);
   console.log(`  POST /api/autofill  - Auto-fill field`);
+  console.log(`  POST /api/autofill/batch - Auto-fill required fields or a section (SSE)`);
+  console.log(`  GET  /api/conversations - List conversations`);
   console.log('');
   console.log('Press Ctrl+C to stop');
   console.log('');
@@ -0,0 +1,118 @@
+/**
+ * AutoFill Plan - какие поля заполнять пакетом и в каком порядке
+ *
+ * Поле заполняется после полей из своего aiDependsOn (топологический
+ * порядок), чтобы сгенерированное значение попало в контекст следующих.
+ * Незаполненные поля из aiDependsOn добавляются в план, даже если они вне
+ * выбора (fieldIds, section): иначе поле заполнялось бы без них.
+ * Уже заполненные поля (без overwrite) и поля, скрытые условиями,
+ * пропускаются; поля из цикла зависимостей тоже - порядок для них не
+ * определён (TemplateValidator сообщает о таких циклах). Поля сверх limit
+ * пропускаются с конца порядка: их зависимости остаются в плане, и
+ * следующий запрос продолжит с них.
+ */
+
+const { hasValue, isFilled } = require('../utils/field-values');
+const { PATH_SEPARATOR } = require('../utils/template-tree');
+const { isVisible } = require('./form-state');
+
+// Какие поля выбираются без явного списка fieldIds
+const AUTOFILL_INCLUDE = ['required', 'all'];
+
+/**
+ * Поле внутри раздела: путь совпадает или начинается с него
+ * @param {Object} field - Поле с path
+ * @param {string} section - Имя или путь раздела ("Аутентификация › OAuth")
+ * @returns {boolean}
+ */
+function inSection(field, section) {
+  const path = field.path || '';
+  return path === section || path.startsWith(`${section}${PATH_SEPARATOR}`);
+}
+
+/**
+ * План пакетного автозаполнения
+ * @param {Array<Object>} fields - Поля шаблона в порядке шаблона
+ * @param {Object} formData - Текущие значения формы
+ * @param {Object} options
+ * @param {Array<string>} [options.fieldIds] - Заполнить эти поля
+ * @param {string} [options.section] - Ограничить разделом
+ * @param {string} [options.include='required'] - Без fieldIds: required -
+ *   обязательные и aiAutoFill, all - все пустые поля
+ * @param {boolean} [options.overwrite=false] - Перезаписывать заполненные
+ * @param {number} [options.limit] - Не больше стольких полей за раз
+ * @returns {{order: Array<Object>, skipped: Array<{field, reason}>}}
+ */
+function planAutoFill(fields, formData = {}, options = {}) {
+  const { fieldIds = null, section = null, include = 'required', overwrite = false, limit = Infinity } = options;
+
+  const candidates = fields.filter(field =>
+    (fieldIds ? fieldIds.includes(field.id) : include === 'all' || field.required || field.aiAutoFill) &&
+    (!section || inSection(field, section))
+  );
+
+  const skipped = [];
+  const targets = candidates.filter(field => {
+    if (!isVisible(field, formData)) {
+      skipped.push({ field, reason: 'hidden' });
+      return false;
+    }
+    if (!overwrite && isFilled(field, formData[field.id])) {
+      skipped.push({ field, reason: 'filled' });
+      return false;
+    }
+    return true;
+  });
+
+  // Незаполненные видимые зависимости (и их зависимости) тоже заполняются;
+  // заполненные и скрытые условиями берутся из formData как есть
+  const byId = new Map(fields.map(field => [field.id, field]));
+  const targetIds = new Set(targets.map(field => field.id));
+  const queue = [...targets];
+  while (queue.length > 0) {
+    for (const id of queue.shift().aiDependsOn || []) {
+      const dependency = byId.get(id);
+      if (!dependency || targetIds.has(id) || hasValue(formData[id]) || !isVisible(dependency, formData)) continue;
+      targetIds.add(id);
+      queue.push(dependency);
+    }
+  }
+  const planned = fields.filter(field => targetIds.has(field.id));
+
+  // Kahn: поле готово, когда заполнены все его зависимости из плана
+  const pending = new Map(planned.map(field => [
+    field.id,
+    (field.aiDependsOn || []).filter(id => targetIds.has(id) && id !== field.id)
+  ]));
+  const order = [];
+  const done = new Set();
+
+  let progress = true;
+  while (progress) {
+    progress = false;
+    for (const field of planned) {
+      if (done.has(field.id) || !pending.get(field.id).every(id => done.has(id))) continue;
+      order.push(field);
+      done.add(field.id);
+      progress = true;
+    }
+  }
+
+  for (const field of planned) {
+    if (!done.has(field.id)) {
+      skipped.push({ field, reason: 'dependency-cycle' });
+    }
+  }
+
+  for (const field of order.splice(limit)) {
+    skipped.push({ field, reason: 'limit' });
+  }
+
+  return { order, skipped };
+}
+
+module.exports = {
+  AUTOFILL_INCLUDE,
+  inSection,
+  planAutoFill
+};
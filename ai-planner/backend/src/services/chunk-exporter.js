@@ -0,0 +1,134 @@
+/**
+ * Chunk Exporter - экспорт разбитого шаблона в другие форматы
+ *
+ * - Markdown: один файл на chunk (для сайта документации) + index.md
+ * - JSONL: корпус с одной записью на chunk или на поле (RAG-пайплайны,
+ *   датасеты для fine-tuning)
+ *
+ * Текст записей - тот же chunkToText, что уходит в embeddings.
+ */
+
+const { chunkFields, chunkToText, fieldDocumentText } = require('../utils/chunk-text');
+
+class ChunkExporter {
+  /**
+   * Markdown: файл на каждый chunk с front matter и индекс
+   * @param {Object} chunkedTemplate - Результат ChunkingEngine.chunkTemplate
+   * @returns {Array<{filename: string, content: string}>}
+   */
+  toMarkdown(chunkedTemplate) {
+    const templateId = this.getTemplateId(chunkedTemplate);
+    const files = chunkedTemplate.chunks.map(chunk => ({
+      filename: `${chunk.id}.md`,
+      content: this.frontMatter({
+        templateId,
+        chunkId: chunk.id,
+        title: chunk.title,
+        path: chunk.path,
+        pointer: chunk.pointer,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        tags: chunk.tags
+      }) + chunkToText(chunk) + '\n'
+    }));
+
+    const index = [
+      `# ${chunkedTemplate.name || templateId}`,
+      '',
+      ...(chunkedTemplate.description ? [chunkedTemplate.description, ''] : []),
+      ...chunkedTemplate.chunks.map(chunk =>
+        `- [${chunk.title}](${chunk.id}.md) — строки ${chunk.startLine}-${chunk.endLine}`
+      ),
+      ''
+    ].join('\n');
+
+    return [{ filename: 'index.md', content: index }, ...files];
+  }
+
+  /**
+   * JSONL-корпус
+   * @param {Object} chunkedTemplate - Результат ChunkingEngine.chunkTemplate
+   * @param {Object} options
+   * @param {string} [options.per='chunk'] - 'chunk' | 'field'
+   * @returns {string}
+   */
+  toJsonl(chunkedTemplate, options = {}) {
+    const { per = 'chunk' } = options;
+    const templateId = this.getTemplateId(chunkedTemplate);
+
+    const records = per === 'field'
+      ? chunkedTemplate.chunks.flatMap(chunk => this.fieldRecords(chunk, templateId))
+      : chunkedTemplate.chunks.map(chunk => this.chunkRecord(chunk, templateId));
+
+    return records.map(record => JSON.stringify(record)).join('\n') + '\n';
+  }
+
+  /**
+   * Запись JSONL для chunk
+   * @param {Object} chunk
+   * @param {string} templateId
+   * @returns {Object}
+   */
+  chunkRecord(chunk, templateId) {
+    return {
+      id: `${templateId}:${chunk.id}`,
+      templateId,
+      chunkId: chunk.id,
+      title: chunk.title,
+      path: chunk.path,
+      pointer: chunk.pointer,
+      startLine: chunk.startLine,
+      endLine: chunk.endLine,
+      tags: chunk.tags,
+      contentHash: chunk.contentHash,
+      text: chunkToText(chunk)
+    };
+  }
+
+  /**
+   * Записи JSONL для полей chunk: breadcrumb раздела + строка поля
+   * @param {Object} chunk
+   * @param {string} templateId
+   * @returns {Array<Object>}
+   */
+  fieldRecords(chunk, templateId) {
+    return chunkFields(chunk).map(({ field, entry }) => ({
+      id: `${templateId}:${field.id}`,
+      templateId,
+      chunkId: chunk.id,
+      fieldId: field.id,
+      label: field.label,
+      type: field.type,
+      required: Boolean(field.required),
+      path: entry.path,
+      pointer: entry.pointer,
+      startLine: entry.startLine,
+      endLine: entry.endLine,
+      text: fieldDocumentText(field, entry.path)
+    }));
+  }
+
+  /**
+   * YAML front matter (значения - JSON, который является валидным YAML)
+   * @param {Object} data
+   * @returns {string}
+   */
+  frontMatter(data) {
+    const lines = Object.entries(data)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+
+    return `---\n${lines.join('\n')}\n---\n\n`;
+  }
+
+  /**
+   * ID шаблона для записей
+   * @param {Object} chunkedTemplate
+   * @returns {string}
+   */
+  getTemplateId(chunkedTemplate) {
+    return chunkedTemplate.id || 'default';
+  }
+}
+
+module.exports = ChunkExporter;
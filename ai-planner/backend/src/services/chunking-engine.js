@@ -2,84 +2,182 @@
  * Chunking Engine - разбиение больших шаблонов на части
  *
  * Основная задача: разделить шаблон на 5000+ строк на логические чанки
- * размером ~500 строк каждый для удобной работы и AI-обработки
+ * размером ~500 строк каждый для удобной работы и AI-обработки.
+ * В режиме chunkBy: 'tokens' секции упаковываются по оценке токенов
+ * (targetTokensPerChunk), а не по строкам JSON. Балансировка (balance)
+ * выравнивает части больших секций и сливает чанки меньше минимума.
+ *
+ * Каждый chunk хранит реальный диапазон строк в исходном файле шаблона
+ * и JSON pointer'ы своих секций и полей (provenance).
+ *
+ * Секции могут быть иерархическими (подсекции и группы полей): большие
+ * секции режутся только по границам групп, а chunk получает breadcrumb
+ * path вида "Аутентификация › OAuth › Scopes".
+ *
+ * ID чанков стабильны: это хэш состава секций, а не порядковый номер,
+ * поэтому вставка секции не перенумеровывает остальные чанки. Хэш
+ * содержимого (contentHash) позволяет переразбивать шаблон инкрементально.
+ *
+ * Разбиение учитывает aiDependsOn: секции с зависимыми друг от друга полями
+ * упаковываются в один chunk, части больших секций режутся не между
+ * зависимыми полями (если группа влезает в лимит). Оставшиеся зависимости
+ * между чанками записываются в chunk.links и index.dependencies.
  */
 
+const crypto = require('crypto');
+const { buildSourceMap, toPointer } = require('../utils/json-source-map');
+const {
+  PATH_SEPARATOR,
+  childNodes,
+  childPointer,
+  collectFields,
+  formatPath,
+  hasNesting,
+  listFields,
+  nodeName,
+  pruneTree
+} = require('../utils/template-tree');
+const { estimateTokens } = require('../utils/tokens');
+
 class ChunkingEngine {
   constructor(config = {}) {
     this.maxChunkSize = config.maxChunkSize || 500; // строк JSON
     this.minChunkSize = config.minChunkSize || 100;
     this.overlapSize = config.overlapSize || 50; // overlap для контекста
     this.targetTokensPerChunk = config.targetTokensPerChunk || 2000;
+    this.minTokensPerChunk = config.minTokensPerChunk || 500;
+    this.chunkBy = config.chunkBy || 'lines'; // 'lines' | 'tokens'
+    this.balance = config.balance !== false; // выравнивание размеров чанков
+
+    if (!['lines', 'tokens'].includes(this.chunkBy)) {
+      throw new Error(`Unknown chunkBy mode: ${this.chunkBy}`);
+    }
   }
 
   /**
    * Главная функция: разбиение шаблона на чанки
    * @param {Object} template - Исходный шаблон
-   * @returns {Object} Шаблон с разбитыми чанками
+   * @param {Object} options
+   * @param {string} [options.source] - Исходный JSON-текст шаблона для номеров строк
+   *   (по умолчанию - JSON.stringify(template, null, 2))
+   * @param {Object|Array} [options.previous] - Предыдущий результат chunkTemplate
+   *   (или его chunks) для инкрементального режима
+   * @returns {Object} Шаблон с разбитыми чанками (и changes в инкрементальном режиме)
    */
-  chunkTemplate(template) {
+  chunkTemplate(template, options = {}) {
     console.log(`📦 Chunking template: ${template.name}`);
     console.log(`   Sections: ${template.sections?.length || 0}`);
+    console.log(`   Chunk by: ${this.chunkBy} (limit ${this.getChunkLimit()})`);
 
-    const chunks = [];
-    let currentChunk = this.createNewChunk(0);
+    const sourceMap = buildSourceMap(options.source || JSON.stringify(template, null, 2));
+    const dependencies = this.buildDependencyGraph(template);
+    let chunks = [];
+    const limit = this.getChunkLimit();
+    let currentChunk = this.createNewChunk();
     let currentLineCount = 0;
+    let currentSize = 0;
 
-    // Обрабатываем каждую секцию
-    for (let i = 0; i < template.sections.length; i++) {
+    const addSection = (i) => {
       const section = template.sections[i];
-      const sectionLines = this.estimateLines(section);
+      currentChunk.content.sections.push(section);
+      this.recordSection(currentChunk, sourceMap, i, section);
+      currentChunk.tags = [...new Set([...currentChunk.tags, ...(section.tags || [])])];
+      currentLineCount += this.estimateLines(section);
+      currentSize += this.measure(section);
+    };
 
-      console.log(`   Processing section ${i + 1}: "${section.name}" (${sectionLines} lines)`);
+    // Секции, связанные aiDependsOn, идут в chunk одной группой
+    const sectionSizes = template.sections.map(section => this.measure(section));
+    const groups = this.dependencyGroups(
+      template.sections.map(section => collectFields(section).map(field => field.id)),
+      indexes => indexes.reduce((sum, i) => sum + sectionSizes[i], 0),
+      limit,
+      dependencies
+    );
 
-      // Если секция влезает в текущий chunk
-      if (currentLineCount + sectionLines <= this.maxChunkSize) {
-        currentChunk.content.sections.push(section);
-        currentChunk.tags = [...new Set([...currentChunk.tags, ...(section.tags || [])])];
-        currentLineCount += sectionLines;
+    // Обрабатываем каждую группу секций
+    for (const group of groups) {
+      const groupSize = group.reduce((sum, i) => sum + sectionSizes[i], 0);
 
-        if (!currentChunk.title) {
-          currentChunk.title = section.name;
-        }
+      for (const i of group) {
+        const section = template.sections[i];
+        console.log(`   Processing section ${i + 1}: "${section.name}" (${this.estimateLines(section)} lines, ~${this.estimateTokens(section)} tokens)`);
+      }
+      if (group.length > 1) {
+        console.log(`   🔗 Sections ${group.map(i => i + 1).join(', ')} kept together (aiDependsOn)`);
+      }
+
+      // Если группа влезает в текущий chunk
+      if (currentSize + groupSize <= limit) {
+        group.forEach(addSection);
       }
-      // Если секция слишком большая - разбиваем её
-      else if (sectionLines > this.maxChunkSize) {
+      // Если секция слишком большая - разбиваем её (такая секция всегда одна в группе)
+      else if (groupSize > limit) {
+        const i = group[0];
+        const section = template.sections[i];
+
         // Сохраняем текущий chunk, если есть данные
         if (currentChunk.content.sections.length > 0) {
-          currentChunk.endLine = currentChunk.startLine + currentLineCount - 1;
+          this.finalizeChunk(currentChunk);
           chunks.push(currentChunk);
-          console.log(`   ✅ Chunk ${currentChunk.id} completed (${currentLineCount} lines)`);
+          console.log(`   ✅ Chunk ${currentChunk.id} completed (${currentLineCount} lines, ~${currentChunk.tokenCount} tokens)`);
         }
 
         // Разбиваем большую секцию
-        const subChunks = this.splitLargeSection(section, chunks.length);
+        const subChunks = this.splitLargeSection(section, sourceMap, i, dependencies);
         chunks.push(...subChunks);
         console.log(`   ⚡ Large section split into ${subChunks.length} sub-chunks`);
 
         // Начинаем новый chunk
-        currentChunk = this.createNewChunk(chunks.length);
+        currentChunk = this.createNewChunk();
         currentLineCount = 0;
+        currentSize = 0;
       }
       // Начинаем новый chunk
       else {
-        currentChunk.endLine = currentChunk.startLine + currentLineCount - 1;
+        this.finalizeChunk(currentChunk);
         chunks.push(currentChunk);
-        console.log(`   ✅ Chunk ${currentChunk.id} completed (${currentLineCount} lines)`);
+        console.log(`   ✅ Chunk ${currentChunk.id} completed (${currentLineCount} lines, ~${currentChunk.tokenCount} tokens)`);
 
-        currentChunk = this.createNewChunk(chunks.length);
-        currentChunk.content.sections.push(section);
-        currentChunk.title = section.name;
-        currentChunk.tags = section.tags || [];
-        currentLineCount = sectionLines;
+        currentChunk = this.createNewChunk();
+        currentLineCount = 0;
+        currentSize = 0;
+        group.forEach(addSection);
       }
     }
 
     // Добавляем последний chunk
     if (currentChunk.content.sections.length > 0) {
-      currentChunk.endLine = currentChunk.startLine + currentLineCount - 1;
+      this.finalizeChunk(currentChunk);
       chunks.push(currentChunk);
-      console.log(`   ✅ Final chunk ${currentChunk.id} completed (${currentLineCount} lines)`);
+      console.log(`   ✅ Final chunk ${currentChunk.id} completed (${currentLineCount} lines, ~${currentChunk.tokenCount} tokens)`);
+    }
+
+    if (this.balance) {
+      const before = chunks.length;
+      chunks = this.mergeUndersizedChunks(chunks, dependencies);
+      if (chunks.length < before) {
+        console.log(`   🧩 Merged undersized chunks: ${before} → ${chunks.length}`);
+      }
+    }
+
+    this.ensureUniqueIds(chunks);
+
+    const crossLinks = this.linkChunks(chunks, dependencies);
+    if (crossLinks > 0) {
+      console.log(`   🔗 Cross-chunk dependencies: ${crossLinks}`);
+    }
+
+    // Инкрементальный режим: отчёт об изменениях и перенос готовых embeddings
+    let changes = null;
+    if (options.previous) {
+      const previousChunks = Array.isArray(options.previous)
+        ? options.previous
+        : options.previous.chunks || [];
+
+      changes = this.diffChunks(previousChunks, chunks);
+      this.reuseEmbeddings(previousChunks, chunks, changes.unchanged);
+      console.log(`   🔁 Changes: +${changes.added.length} ~${changes.changed.length} -${changes.removed.length} =${changes.unchanged.length}`);
     }
 
     // Создаём индекс
@@ -91,10 +189,13 @@ class ChunkingEngine {
         ...template.metadata,
         totalChunks: chunks.length,
         chunkSize: this.maxChunkSize,
+        chunkBy: this.chunkBy,
+        targetTokensPerChunk: this.targetTokensPerChunk,
         chunkedAt: new Date().toISOString()
       },
       chunks,
-      index
+      index,
+      ...(changes && { changes })
     };
 
     console.log(`✅ Chunking complete: ${chunks.length} chunks created`);
@@ -111,38 +212,397 @@ class ChunkingEngine {
     return jsonString.split('\n').length;
   }
 
+  /**
+   * Оценка количества токенов для текста или объекта.
+   * Пробелы не считаются: BPE-токенизаторы склеивают их со словами.
+   * @param {string|Object} value
+   * @returns {number}
+   */
+  estimateTokens(value) {
+    return estimateTokens(value);
+  }
+
+  /**
+   * Размер объекта в единицах текущего режима (строки или токены)
+   * @param {Object} value
+   * @returns {number}
+   */
+  measure(value) {
+    return this.chunkBy === 'tokens'
+      ? this.estimateTokens(value)
+      : this.estimateLines(value);
+  }
+
+  /**
+   * Лимит размера chunk в единицах текущего режима
+   * @returns {number}
+   */
+  getChunkLimit() {
+    return this.chunkBy === 'tokens' ? this.targetTokensPerChunk : this.maxChunkSize;
+  }
+
+  /**
+   * Минимальный желаемый размер chunk в единицах текущего режима
+   * @returns {number}
+   */
+  getMinChunkSize() {
+    return this.chunkBy === 'tokens' ? this.minTokensPerChunk : this.minChunkSize;
+  }
+
+  /**
+   * Фиксация границ и размеров готового chunk.
+   * Диапазон строк берётся из provenance - реальных позиций в исходном файле.
+   * Chunk из нескольких секций без общего раздела получает заголовок из их
+   * имён и пустой path: breadcrumb одной секции описывал бы его неверно.
+   * @param {Object} chunk
+   */
+  finalizeChunk(chunk) {
+    const ranges = chunk.provenance.sections;
+    const sections = chunk.content.sections;
+
+    chunk.pointer = ranges.length > 0 ? ranges[0].pointer : '';
+    chunk.title = chunk.title || sections.map(section => nodeName(section)).join(', ');
+    if (!chunk.path && sections.length === 1) {
+      chunk.path = formatPath([nodeName(sections[0])]);
+    }
+    chunk.startLine = Math.min(...ranges.map(r => r.startLine));
+    chunk.endLine = Math.max(...ranges.map(r => r.endLine));
+    chunk.tokenCount = this.estimateTokens(chunk.content.sections);
+    chunk.id = `chunk-${this.hash(ranges.map(r => r.id).join('|'))}`;
+    chunk.contentHash = this.hashChunkContent(chunk);
+  }
+
+  /**
+   * Слияние чанков меньше minChunkSize с соседом, у которого есть общие теги
+   * или связи aiDependsOn, если результат не превышает лимит. Из двух соседей
+   * выбирается тот, с которым получается меньший chunk.
+   * @param {Array} chunks
+   * @param {Map<string, Array<string>>} dependencies - Граф aiDependsOn
+   * @returns {Array}
+   */
+  mergeUndersizedChunks(chunks, dependencies = new Map()) {
+    const result = [...chunks];
+    const min = this.getMinChunkSize();
+    const limit = this.getChunkLimit();
+
+    for (let i = 0; i < result.length;) {
+      const size = this.measure(result[i].content.sections);
+      const candidates = size >= min ? [] : [i - 1, i + 1]
+        .filter(j => j >= 0 && j < result.length)
+        .filter(j => this.sharesTags(result[i], result[j]) || this.hasDependencyLink(result[i], result[j], dependencies))
+        .map(j => ({ j, size: this.measure([...result[i].content.sections, ...result[j].content.sections]) }))
+        .filter(candidate => candidate.size <= limit)
+        .sort((a, b) => a.size - b.size);
+
+      if (candidates.length === 0) {
+        i++;
+        continue;
+      }
+
+      const start = Math.min(i, candidates[0].j);
+      result.splice(start, 2, this.mergeChunks(result[start], result[start + 1]));
+      // Объединённый chunk может всё ещё быть маленьким - проверяем его снова
+      i = start;
+    }
+
+    return result;
+  }
+
+  /**
+   * Есть ли у чанков общие теги (чанки без тегов совместимы друг с другом)
+   * @param {Object} a
+   * @param {Object} b
+   * @returns {boolean}
+   */
+  sharesTags(a, b) {
+    if (a.tags.length === 0 && b.tags.length === 0) return true;
+    return a.tags.some(tag => b.tags.includes(tag));
+  }
+
+  /**
+   * Зависит ли поле одного chunk от поля другого (в любую сторону)
+   * @param {Object} a
+   * @param {Object} b
+   * @param {Map<string, Array<string>>} dependencies
+   * @returns {boolean}
+   */
+  hasDependencyLink(a, b, dependencies) {
+    const idsA = new Set(a.provenance.fields.map(f => f.id));
+    const idsB = new Set(b.provenance.fields.map(f => f.id));
+    const dependsOn = (from, to) => [...from].some(id =>
+      (dependencies.get(id) || []).some(dep => to.has(dep))
+    );
+
+    return dependsOn(idsA, idsB) || dependsOn(idsB, idsA);
+  }
+
+  /**
+   * Граф зависимостей полей: fieldId → ID полей из aiDependsOn,
+   * которые есть в шаблоне
+   * @param {Object} template
+   * @returns {Map<string, Array<string>>}
+   */
+  buildDependencyGraph(template) {
+    const fields = template.sections.flatMap(section => collectFields(section));
+    const fieldIds = new Set(fields.map(f => f.id));
+    const graph = new Map();
+
+    for (const field of fields) {
+      const dependsOn = (field.aiDependsOn || []).filter(id => id !== field.id && fieldIds.has(id));
+      if (dependsOn.length > 0) {
+        graph.set(field.id, dependsOn);
+      }
+    }
+
+    return graph;
+  }
+
+  /**
+   * Запись зависимостей между чанками в chunk.links
+   * @param {Array} chunks
+   * @param {Map<string, Array<string>>} dependencies
+   * @returns {number} Количество межчанковых связей полей
+   */
+  linkChunks(chunks, dependencies) {
+    const chunkByField = new Map();
+    const chunkById = new Map(chunks.map(c => [c.id, c]));
+    for (const chunk of chunks) {
+      for (const field of chunk.provenance.fields) {
+        chunkByField.set(field.id, chunk.id);
+      }
+    }
+
+    let count = 0;
+    for (const chunk of chunks) {
+      for (const field of chunk.provenance.fields) {
+        for (const dependencyId of dependencies.get(field.id) || []) {
+          const targetId = chunkByField.get(dependencyId);
+          if (!targetId || targetId === chunk.id) continue;
+
+          chunk.links.fields.push({ fieldId: field.id, dependsOn: dependencyId, chunkId: targetId });
+          if (!chunk.links.dependsOn.includes(targetId)) {
+            chunk.links.dependsOn.push(targetId);
+          }
+
+          const target = chunkById.get(targetId);
+          if (!target.links.requiredBy.includes(chunk.id)) {
+            target.links.requiredBy.push(chunk.id);
+          }
+          count++;
+        }
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Объединение двух соседних чанков: path - общий раздел обоих
+   * (пустой, если это разные секции верхнего уровня)
+   * @param {Object} first
+   * @param {Object} second
+   * @returns {Object}
+   */
+  mergeChunks(first, second) {
+    const chunk = this.createNewChunk();
+    chunk.title = first.title === second.title ? first.title : `${first.title}, ${second.title}`;
+    chunk.path = formatPath(this.commonPath([first.path, second.path].map(path => path.split(PATH_SEPARATOR))));
+    chunk.tags = [...new Set([...first.tags, ...second.tags])];
+    chunk.content.sections = [...first.content.sections, ...second.content.sections];
+    chunk.provenance.sections = [...first.provenance.sections, ...second.provenance.sections];
+    chunk.provenance.fields = [...first.provenance.fields, ...second.provenance.fields];
+
+    this.finalizeChunk(chunk);
+    return chunk;
+  }
+
+  /**
+   * Короткий sha256-хэш строки
+   * @param {string} value
+   * @returns {string}
+   */
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex').slice(0, 12);
+  }
+
+  /**
+   * Хэш всего, что попадает в текст chunk для embedding
+   * @param {Object} chunk
+   * @returns {string}
+   */
+  hashChunkContent(chunk) {
+    return this.hash(JSON.stringify({
+      title: chunk.title,
+      path: chunk.path,
+      tags: chunk.tags,
+      sections: chunk.content.sections
+    }));
+  }
+
+  /**
+   * Уникальность ID: секции с одинаковыми id дают одинаковый хэш состава
+   * @param {Array} chunks
+   */
+  ensureUniqueIds(chunks) {
+    const seen = new Map();
+    for (const chunk of chunks) {
+      const count = (seen.get(chunk.id) || 0) + 1;
+      seen.set(chunk.id, count);
+      if (count > 1) {
+        chunk.id = `${chunk.id}-${count}`;
+      }
+    }
+  }
+
+  /**
+   * Сравнение нового разбиения с предыдущим
+   * @param {Array} previousChunks
+   * @param {Array} chunks
+   * @returns {{added: Array<string>, changed: Array<string>, removed: Array<string>, unchanged: Array<string>}}
+   */
+  diffChunks(previousChunks, chunks) {
+    const previousById = new Map(previousChunks.map(c => [c.id, c]));
+    const currentIds = new Set(chunks.map(c => c.id));
+    const changes = { added: [], changed: [], removed: [], unchanged: [] };
+
+    for (const chunk of chunks) {
+      const previous = previousById.get(chunk.id);
+      if (!previous) {
+        changes.added.push(chunk.id);
+      } else if ((previous.contentHash || this.hashChunkContent(previous)) !== chunk.contentHash) {
+        changes.changed.push(chunk.id);
+      } else {
+        changes.unchanged.push(chunk.id);
+      }
+    }
+
+    for (const previous of previousChunks) {
+      if (!currentIds.has(previous.id)) {
+        changes.removed.push(previous.id);
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Перенос embedding из предыдущего разбиения в неизменённые чанки
+   * @param {Array} previousChunks
+   * @param {Array} chunks
+   * @param {Array<string>} unchangedIds
+   */
+  reuseEmbeddings(previousChunks, chunks, unchangedIds) {
+    const previousById = new Map(previousChunks.map(c => [c.id, c]));
+    const unchanged = new Set(unchangedIds);
+
+    for (const chunk of chunks) {
+      const previous = previousById.get(chunk.id);
+      if (unchanged.has(chunk.id) && previous?.embedding) {
+        chunk.embedding = previous.embedding;
+        chunk.embeddingHash = previous.embeddingHash;
+        chunk.embeddingProvider = previous.embeddingProvider;
+      }
+    }
+  }
+
+  /**
+   * Добавление в provenance целой секции шаблона
+   * @param {Object} chunk
+   * @param {Object} sourceMap - Карта pointer → диапазон строк
+   * @param {number} sectionIndex - Индекс секции в template.sections
+   * @param {Object} section
+   */
+  recordSection(chunk, sourceMap, sectionIndex, section) {
+    const pointer = toPointer('sections', sectionIndex);
+    this.recordProvenance(chunk, sourceMap, { id: section.id, pointer }, listFields(section, pointer));
+  }
+
+  /**
+   * Привязка секции chunk к её месту в исходном шаблоне
+   * @param {Object} chunk
+   * @param {Object} sourceMap - Карта pointer → диапазон строк
+   * @param {Object} section - { id, pointer, range? } секции (или её части) в chunk;
+   *   range задаётся, если это не вся секция
+   * @param {Array} fieldEntries - Поля с исходными pointer'ами и путями (см. listFields)
+   */
+  recordProvenance(chunk, sourceMap, section, fieldEntries) {
+    chunk.provenance.sections.push({
+      id: section.id,
+      pointer: section.pointer,
+      ...(section.range || this.lookupRange(sourceMap, section.pointer))
+    });
+
+    for (const entry of fieldEntries) {
+      chunk.provenance.fields.push({
+        id: entry.field.id,
+        pointer: entry.pointer,
+        path: formatPath(entry.path),
+        ...this.lookupRange(sourceMap, entry.pointer)
+      });
+    }
+  }
+
+  /**
+   * Диапазон строк значения по JSON pointer
+   * @param {Object} sourceMap
+   * @param {string} pointer
+   * @returns {{startLine: number, endLine: number}}
+   */
+  lookupRange(sourceMap, pointer) {
+    const range = sourceMap[pointer];
+    if (!range) {
+      throw new Error(`Template source does not contain ${pointer}`);
+    }
+    return { startLine: range.startLine, endLine: range.endLine };
+  }
+
   /**
    * Разбиение большой секции на под-секции
    * @param {Object} section
-   * @param {number} startIndex
+   * @param {Object} sourceMap - Карта pointer → диапазон строк
+   * @param {number} sectionIndex - Индекс секции в template.sections
+   * @param {Map<string, Array<string>>} dependencies - Граф aiDependsOn
    * @returns {Array}
    */
-  splitLargeSection(section, startIndex) {
+  splitLargeSection(section, sourceMap, sectionIndex, dependencies = new Map()) {
     const chunks = [];
-    const fields = section.fields || [];
-
-    // Вычисляем сколько полей на chunk
-    const fieldsPerChunk = Math.ceil(
-      fields.length /
-      Math.ceil(this.estimateLines(section) / this.maxChunkSize)
-    );
+    const sectionPointer = toPointer('sections', sectionIndex);
+    const sectionRange = this.lookupRange(sourceMap, sectionPointer);
+    // Плоская секция режется по полям, иерархическая - по границам групп
+    const units = hasNesting(section)
+      ? this.collectSplitUnits(section, sectionPointer, [nodeName(section)])
+      : listFields(section, sectionPointer).map(entry => [entry]);
+    const overhead = this.measure({ ...section, fields: [], groups: [], sections: [] });
+    const parts = this.packUnits(units, Math.max(this.getChunkLimit() - overhead, 1), dependencies);
 
     let partNumber = 1;
-    for (let i = 0; i < fields.length; i += fieldsPerChunk) {
-      const subFields = fields.slice(i, i + fieldsPerChunk);
-
+    for (const entries of parts) {
+      const included = new Set(entries.map(e => e.pointer));
       const subSection = {
-        ...section,
+        ...pruneTree(section, sectionPointer, included),
         id: `${section.id}-part-${partNumber}`,
-        name: `${section.name} (часть ${partNumber})`,
-        fields: subFields
+        name: `${section.name} (часть ${partNumber})`
       };
 
-      const chunk = this.createNewChunk(startIndex + chunks.length);
+      const chunk = this.createNewChunk();
       chunk.title = subSection.name;
+      chunk.path = formatPath(this.commonPath(entries.map(e => e.path)));
       chunk.tags = section.tags || [];
       chunk.content.sections = [subSection];
-      chunk.endLine = chunk.startLine + this.estimateLines(subSection) - 1;
+
+      // Первая часть включает заголовок секции, последняя - её закрытие
+      const fieldRanges = entries.map(e => this.lookupRange(sourceMap, e.pointer));
+      const range = {
+        startLine: partNumber === 1
+          ? sectionRange.startLine
+          : Math.min(...fieldRanges.map(r => r.startLine)),
+        endLine: partNumber === parts.length
+          ? sectionRange.endLine
+          : Math.max(...fieldRanges.map(r => r.endLine))
+      };
+
+      this.recordProvenance(chunk, sourceMap, { id: subSection.id, pointer: sectionPointer, range }, entries);
+      this.finalizeChunk(chunk);
 
       chunks.push(chunk);
       partNumber++;
@@ -151,21 +611,218 @@ class ChunkingEngine {
     return chunks;
   }
 
+  /**
+   * Упаковка единиц разбиения в части.
+   * Число частей определяет жадная упаковка в бюджет; при balance
+   * вместимость части затем уменьшается до минимальной, дающей то же
+   * число частей, - так части получаются ровными, без куцего хвоста.
+   * @param {Array<Array>} units - Единицы - массивы записей listFields
+   * @param {number} budget - Лимит размера части
+   * @param {Map<string, Array<string>>} dependencies - Граф aiDependsOn
+   * @returns {Array<Array>} Части - массивы записей listFields
+   */
+  packUnits(units, budget, dependencies = new Map()) {
+    units = this.clusterDependentUnits(units, budget, dependencies);
+    const sizes = units.map(unit => this.measure(unit.map(e => e.field)));
+    let capacity = budget;
+
+    if (this.balance && units.length > 1) {
+      const partCount = this.greedyPack(sizes, budget).length;
+      let low = Math.max(...sizes);
+      let high = Math.max(budget, low);
+
+      while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (this.greedyPack(sizes, mid).length <= partCount) {
+          high = mid;
+        } else {
+          low = mid + 1;
+        }
+      }
+      capacity = low;
+    }
+
+    return this.greedyPack(sizes, capacity)
+      .map(indexes => indexes.flatMap(i => units[i]));
+  }
+
+  /**
+   * Склейка подряд идущих единиц, связанных aiDependsOn, в одну единицу,
+   * чтобы граница части не прошла между зависимыми полями. Склейка
+   * делается, только если результат влезает в бюджет.
+   * @param {Array<Array>} units
+   * @param {number} budget
+   * @param {Map<string, Array<string>>} dependencies
+   * @returns {Array<Array>}
+   */
+  clusterDependentUnits(units, budget, dependencies) {
+    return this.dependencyGroups(
+      units.map(unit => unit.map(entry => entry.field.id)),
+      indexes => this.measure(indexes.flatMap(i => units[i]).map(e => e.field)),
+      budget,
+      dependencies
+    ).map(indexes => indexes.flatMap(i => units[i]));
+  }
+
+  /**
+   * Группы подряд идущих элементов (секций или единиц разбиения), связанных
+   * aiDependsOn: группа тянется от элемента до самого дальнего связанного
+   * с ним. Группа образуется, только если влезает в бюджет, иначе элемент
+   * остаётся один.
+   * @param {Array<Array<string>>} fieldIds - ID полей каждого элемента
+   * @param {Function} sizeOf - (индексы элементов) → размер группы
+   * @param {number} budget
+   * @param {Map<string, Array<string>>} dependencies
+   * @returns {Array<Array<number>>} Индексы элементов по группам, по порядку
+   */
+  dependencyGroups(fieldIds, sizeOf, budget, dependencies) {
+    if (dependencies.size === 0) return fieldIds.map((_, i) => [i]);
+
+    const itemByField = new Map();
+    fieldIds.forEach((ids, i) => ids.forEach(id => itemByField.set(id, i)));
+
+    // reach[i] - самый дальний элемент, связанный с i зависимостью
+    const reach = fieldIds.map((_, i) => i);
+    fieldIds.forEach((ids, i) => {
+      for (const id of ids) {
+        for (const dependencyId of dependencies.get(id) || []) {
+          const j = itemByField.get(dependencyId);
+          if (j === undefined) continue;
+          const [from, to] = i < j ? [i, j] : [j, i];
+          reach[from] = Math.max(reach[from], to);
+        }
+      }
+    });
+
+    const groups = [];
+    for (let i = 0; i < fieldIds.length;) {
+      let end = reach[i];
+      for (let k = i; k <= end; k++) end = Math.max(end, reach[k]);
+
+      const span = Array.from({ length: end - i + 1 }, (_, k) => i + k);
+      if (end > i && sizeOf(span) <= budget) {
+        groups.push(span);
+        i = end + 1;
+      } else {
+        groups.push([i]);
+        i++;
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * Жадная упаковка размеров в части заданной вместимости
+   * @param {Array<number>} sizes
+   * @param {number} capacity
+   * @returns {Array<Array<number>>} Индексы единиц по частям
+   */
+  greedyPack(sizes, capacity) {
+    const parts = [];
+    let current = [];
+    let currentSize = 0;
+
+    sizes.forEach((size, index) => {
+      if (current.length > 0 && currentSize + size > capacity) {
+        parts.push(current);
+        current = [];
+        currentSize = 0;
+      }
+
+      current.push(index);
+      currentSize += size;
+    });
+
+    if (current.length > 0) {
+      parts.push(current);
+    }
+
+    return parts;
+  }
+
+  /**
+   * Единицы разбиения иерархической секции: узел целиком, если влезает в лимит,
+   * иначе - его собственные поля и рекурсивно дочерние узлы
+   * @param {Object} node
+   * @param {string} pointer
+   * @param {Array<string>} path
+   * @returns {Array<Array>} Единицы - массивы записей listFields
+   */
+  collectSplitUnits(node, pointer, path) {
+    if (this.measure(node) <= this.getChunkLimit()) {
+      const entries = listFields(node, pointer, path);
+      return entries.length > 0 ? [entries] : [];
+    }
+
+    const units = [];
+    const ownFields = (node.fields || []).map((field, index) => ({
+      field,
+      pointer: `${pointer}/fields/${index}`,
+      path
+    }));
+
+    if (ownFields.length > 0) {
+      if (this.measure(node.fields) <= this.getChunkLimit()) {
+        units.push(ownFields);
+      } else {
+        units.push(...ownFields.map(entry => [entry]));
+      }
+    }
+
+    for (const child of childNodes(node)) {
+      units.push(...this.collectSplitUnits(
+        child.node,
+        childPointer(pointer, child),
+        [...path, nodeName(child.node)]
+      ));
+    }
+
+    return units;
+  }
+
+  /**
+   * Общий префикс путей
+   * @param {Array<Array<string>>} paths
+   * @returns {Array<string>}
+   */
+  commonPath(paths) {
+    if (paths.length === 0) return [];
+
+    const prefix = [...paths[0]];
+    for (const path of paths.slice(1)) {
+      let i = 0;
+      while (i < prefix.length && prefix[i] === path[i]) i++;
+      prefix.length = i;
+    }
+    return prefix;
+  }
+
   /**
    * Создание нового chunk
-   * @param {number} index
    * @returns {Object}
    */
-  createNewChunk(index) {
-    const startLine = index === 0 ? 1 : null; // Будет пересчитано позже
-
+  createNewChunk() {
     return {
-      id: `chunk-${String(index + 1).padStart(3, '0')}`,
+      id: '', // Стабильный ID - см. finalizeChunk
+      contentHash: '',
       title: '',
-      startLine: startLine || 1,
+      path: '', // Breadcrumb: "Секция › Группа › Подгруппа"
+      pointer: '', // JSON pointer первой секции chunk
+      startLine: 0, // Реальные строки в исходном файле - см. finalizeChunk
       endLine: 0,
+      tokenCount: 0,
       tags: [],
       embedding: null, // Будет заполнено при индексации
+      provenance: {
+        sections: [],
+        fields: []
+      },
+      links: {
+        dependsOn: [], // чанки с полями, от которых зависят поля этого chunk
+        requiredBy: [], // чанки, поля которых зависят от полей этого chunk
+        fields: [] // { fieldId, dependsOn, chunkId }
+      },
       content: {
         sections: []
       }
@@ -180,6 +837,9 @@ class ChunkingEngine {
   buildIndex(chunks) {
     const byTag = {};
     const bySection = {};
+    const byPath = {};
+    const byField = {};
+    const dependencies = {};
     const byId = {};
 
     for (const chunk of chunks) {
@@ -197,9 +857,30 @@ class ChunkingEngine {
         if (!bySection[section.name]) bySection[section.name] = [];
         bySection[section.name].push(chunk.id);
       }
+
+      // Индекс по breadcrumb-путям: путь chunk и все пути его групп с префиксами
+      const paths = new Set(chunk.path ? [chunk.path] : []);
+      for (const field of chunk.provenance?.fields || []) {
+        const segments = field.path.split(PATH_SEPARATOR);
+        for (let i = 1; i <= segments.length; i++) {
+          paths.add(formatPath(segments.slice(0, i)));
+        }
+      }
+      for (const path of paths) {
+        if (!byPath[path]) byPath[path] = [];
+        byPath[path].push(chunk.id);
+      }
+
+      // Индекс полей и межчанковых зависимостей
+      for (const field of chunk.provenance?.fields || []) {
+        byField[field.id] = chunk.id;
+      }
+      if (chunk.links?.dependsOn.length > 0) {
+        dependencies[chunk.id] = chunk.links.dependsOn;
+      }
     }
 
-    return { byTag, bySection, byId };
+    return { byTag, bySection, byPath, byField, dependencies, byId };
   }
 
   /**
@@ -220,7 +901,7 @@ class ChunkingEngine {
       const prevSections = prevChunk.content.sections;
       if (prevSections.length > 0) {
         const lastSection = prevSections[prevSections.length - 1];
-        const fieldsToOverlap = lastSection.fields.slice(-Math.ceil(this.overlapSize / 10));
+        const fieldsToOverlap = collectFields(lastSection).slice(-Math.ceil(this.overlapSize / 10));
 
         if (fieldsToOverlap.length > 0) {
           // Добавляем в начало текущего chunk как "контекст"
@@ -246,8 +927,16 @@ class ChunkingEngine {
       avgLinesPerChunk: 0,
       minLines: Infinity,
       maxLines: 0,
+      avgTokensPerChunk: 0,
+      minTokens: Infinity,
+      maxTokens: 0,
+      totalTokens: 0,
       totalSections: 0,
-      totalFields: 0
+      totalFields: 0,
+      perChunk: [],
+      sizeUnit: this.chunkBy,
+      undersized: [], // меньше minChunkSize (или minTokensPerChunk)
+      oversized: [] // больше maxChunkSize (или targetTokensPerChunk)
     };
 
     let totalLines = 0;
@@ -258,14 +947,29 @@ class ChunkingEngine {
       stats.minLines = Math.min(stats.minLines, lines);
       stats.maxLines = Math.max(stats.maxLines, lines);
 
+      const tokens = chunk.tokenCount || this.estimateTokens(chunk.content.sections);
+      stats.totalTokens += tokens;
+      stats.minTokens = Math.min(stats.minTokens, tokens);
+      stats.maxTokens = Math.max(stats.maxTokens, tokens);
+
+      stats.perChunk.push({ id: chunk.id, lines, tokens });
+
+      const size = this.measure(chunk.content.sections);
+      if (size < this.getMinChunkSize()) {
+        stats.undersized.push({ id: chunk.id, size });
+      } else if (size > this.getChunkLimit()) {
+        stats.oversized.push({ id: chunk.id, size });
+      }
+
       stats.totalSections += chunk.content.sections.length;
 
       for (const section of chunk.content.sections) {
-        stats.totalFields += section.fields?.length || 0;
+        stats.totalFields += collectFields(section).length;
       }
     }
 
     stats.avgLinesPerChunk = Math.round(totalLines / chunks.length);
+    stats.avgTokensPerChunk = Math.round(stats.totalTokens / chunks.length);
 
     return stats;
   }
@@ -0,0 +1,76 @@
+/**
+ * Citations - ссылки из ответа AI помощника на источники
+ *
+ * Источники в промпте пронумерованы: [1] - чанк (раздел шаблона),
+ * [1:field-base-url] - поле этого чанка. Claude ставит такие маркеры после
+ * утверждений, а parseCitations сопоставляет их с chunkId, ID поля и путём
+ * раздела. Маркеры с несуществующим номером или полем игнорируются.
+ */
+
+// [3] или [3:field-id]
+const CITATION_PATTERN = /\[(\d+)(?::([\w.-]+))?\]/g;
+
+/**
+ * Блок источника для промпта: номер, заголовок, поля с маркерами и текст
+ * @param {Object} result - Результат поиска
+ * @param {number} index - Номер источника (с 1)
+ * @returns {string}
+ */
+function sourceContext(result, index) {
+  let text = `### [${index}] ${result.title}\n`;
+
+  const fields = result.fieldRefs || [];
+  if (fields.length > 0) {
+    const refs = fields.map(field => `[${index}:${field.id}]${field.label ? ` ${field.label}` : ''}`);
+    text += `Поля для ссылок: ${refs.join('; ')}\n\n`;
+  }
+
+  return text + result.content;
+}
+
+/**
+ * Маркеры ссылок в тексте ответа, сопоставленные с источниками
+ * @param {string} answer
+ * @param {Array} sources - answerSources: { index, chunkId, title, path, pointer, fields }
+ * @returns {Array<{marker, index, chunkId, title, path, pointer, fieldId?, label?}>}
+ *   По порядку первого упоминания, без повторов
+ */
+function parseCitations(answer, sources) {
+  const byIndex = new Map(sources.map(source => [source.index, source]));
+  const citations = new Map();
+
+  for (const [marker, number, fieldId] of answer.matchAll(CITATION_PATTERN)) {
+    const source = byIndex.get(Number(number));
+    if (!source || citations.has(marker)) continue;
+
+    const citation = {
+      marker,
+      index: source.index,
+      chunkId: source.chunkId,
+      title: source.title,
+      path: source.path,
+      pointer: source.pointer
+    };
+
+    if (fieldId) {
+      const field = (source.fields || []).find(f => f.id === fieldId);
+      if (!field) continue;
+
+      Object.assign(citation, {
+        fieldId,
+        label: field.label,
+        path: field.path || source.path,
+        pointer: field.pointer || source.pointer
+      });
+    }
+
+    citations.set(marker, citation);
+  }
+
+  return [...citations.values()];
+}
+
+module.exports = {
+  parseCitations,
+  sourceContext
+};
@@ -0,0 +1,244 @@
+/**
+ * Conversation Store - сессии диалога с AI помощником
+ *
+ * Сессия хранит всю переписку (для продолжения в интерфейсе) и краткое
+ * содержание начала разговора, которое RAGEngine строит, когда история
+ * перестаёт помещаться в бюджет промпта. Хранилище выбирается конфигурацией:
+ * - file - JSON-файл на сессию в директории (CONVERSATIONS_DIR), переживает перезапуск
+ * - memory - память процесса (по умолчанию)
+ *
+ * Новая сессия попадает в хранилище с первым ответом, поэтому неудачный или
+ * прерванный первый вопрос не оставляет пустых сессий. Изменения одной сессии
+ * (update) выполняются по очереди. Число сессий ограничено maxSessions: при
+ * сохранении новой самые давно не обновлявшиеся удаляются.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class ConversationStore {
+  constructor(backend, config = {}) {
+    this.backend = backend;
+    this.maxSessions = config.maxSessions || 500;
+    // id сессии → последнее изменение в очереди (update)
+    this.queues = new Map();
+  }
+
+  async initialize() {}
+
+  /**
+   * Новая сессия; в хранилище не записывается до первого update / save
+   * @param {Object} options
+   * @param {string} [options.templateId]
+   * @param {string} [options.title] - Обычно первый вопрос
+   * @returns {Promise<Object>}
+   */
+  async create(options = {}) {
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      templateId: options.templateId || null,
+      title: (options.title || 'Новый разговор').slice(0, 80),
+      createdAt: now,
+      updatedAt: now,
+      summary: null,
+      summarizedCount: 0,
+      messages: []
+    };
+
+    return session;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    return this.read(id);
+  }
+
+  /**
+   * @param {Object} session
+   */
+  async save(session) {
+    session.updatedAt = new Date().toISOString();
+    await this.write(session);
+  }
+
+  /**
+   * Изменение сессии: mutate получает сохранённую версию (или новую сессию,
+   * если она ещё не записана), результат сохраняется. Изменения одной сессии
+   * выполняются по очереди, поэтому параллельные вопросы не теряют ходы.
+   * @param {Object} session - Новая сессия (create) или прочитанная раньше
+   * @param {Function} mutate - async (session) => void; false - сессия
+   *   не изменилась, сохранять не нужно
+   * @returns {Promise<Object|null>} Сохранённая сессия; null - сессию удалили
+   */
+  async update(session, mutate) {
+    const previous = this.queues.get(session.id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const stored = await this.read(session.id);
+      // Сессия без сообщений ещё не сохранялась; сохранённая и пропавшая - удалена
+      const current = stored || (session.messages.length === 0 ? session : null);
+      if (!current) return null;
+
+      if ((await mutate(current)) === false) return current;
+      await this.save(current);
+      if (!stored) await this.evict();
+      return current;
+    });
+
+    this.queues.set(session.id, next);
+    next.catch(() => {}).then(() => {
+      if (this.queues.get(session.id) === next) this.queues.delete(session.id);
+    });
+
+    return next;
+  }
+
+  /**
+   * Сессии без переписки, свежие первыми
+   * @param {Object} options - { templateId }
+   * @returns {Promise<Array<{id, templateId, title, createdAt, updatedAt, turns}>>}
+   */
+  async list(options = {}) {
+    const sessions = await this.readAll();
+
+    return sessions
+      .filter(session => !options.templateId || session.templateId === options.templateId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(session => ({
+        id: session.id,
+        templateId: session.templateId,
+        title: session.title,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+        turns: session.messages.filter(message => message.role === 'user').length
+      }));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>} false - сессии не было
+   */
+  async delete(id) {
+    return this.remove(id);
+  }
+
+  /**
+   * Удаление самых старых сессий сверх maxSessions
+   */
+  async evict() {
+    const sessions = await this.list();
+    for (const session of sessions.slice(this.maxSessions)) {
+      await this.remove(session.id);
+    }
+  }
+}
+
+/**
+ * Сессии в памяти процесса
+ */
+class MemoryConversationStore extends ConversationStore {
+  constructor(config = {}) {
+    super('memory', config);
+    this.sessions = new Map();
+  }
+
+  async read(id) {
+    const session = this.sessions.get(id);
+    return session ? structuredClone(session) : null;
+  }
+
+  async readAll() {
+    return [...this.sessions.values()];
+  }
+
+  async write(session) {
+    this.sessions.set(session.id, structuredClone(session));
+  }
+
+  async remove(id) {
+    return this.sessions.delete(id);
+  }
+}
+
+/**
+ * Файл на сессию в директории
+ */
+class FileConversationStore extends ConversationStore {
+  constructor(config = {}) {
+    super('file', config);
+    this.directory = config.directory;
+  }
+
+  async initialize() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+  }
+
+  filePath(id) {
+    // id приходит из URL: только символы UUID, чтобы не выйти из директории
+    return path.join(this.directory, `${String(id).replace(/[^\w-]+/g, '_')}.json`);
+  }
+
+  async read(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async readAll() {
+    const files = await fs.promises.readdir(this.directory).catch(error => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    });
+
+    const sessions = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.read(path.basename(file, '.json'))));
+    return sessions.filter(Boolean);
+  }
+
+  async write(session) {
+    const file = this.filePath(session.id);
+    const tmp = `${file}.tmp`;
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(tmp, JSON.stringify(session), 'utf8');
+    await fs.promises.rename(tmp, file);
+  }
+
+  async remove(id) {
+    try {
+      await fs.promises.unlink(this.filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Выбор хранилища сессий
+ * @param {Object} config
+ * @param {string} [config.directory] - CONVERSATIONS_DIR
+ * @param {number} [config.maxSessions] - Сколько сессий хранить
+ * @returns {ConversationStore}
+ */
+function createConversationStore(config = {}) {
+  if (config.directory) {
+    return new FileConversationStore(config);
+  }
+  return new MemoryConversationStore(config);
+}
+
+module.exports = {
+  ConversationStore,
+  FileConversationStore,
+  MemoryConversationStore,
+  createConversationStore
+};
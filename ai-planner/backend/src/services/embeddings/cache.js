@@ -0,0 +1,277 @@
+/**
+ * Embedding Cache - кеш векторов по провайдеру, модели и хэшу текста
+ *
+ * Повторная индексация шаблона и повторяющиеся поисковые запросы не
+ * пересчитывают одни и те же embeddings. Хранилище выбирается конфигурацией:
+ * - redis - при заданном REDIS_URL (общий кеш для всех инстансов)
+ * - file - директория на диске (EMBEDDING_CACHE_DIR), переживает перезапуск
+ * - memory - LRU в памяти процесса (по умолчанию)
+ *
+ * Ошибки хранилища не ломают индексацию: кеш просто считается промахом.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class EmbeddingCache {
+  constructor(backend) {
+    this.backend = backend;
+    this.stats = { hits: 0, misses: 0, writes: 0, errors: 0 };
+    this.failing = false;
+  }
+
+  /**
+   * Ключ кеша: провайдер и модель (id провайдера) + sha256 текста
+   * @param {string} providerId - Например openai:text-embedding-3-large
+   * @param {string} text
+   * @returns {string}
+   */
+  key(providerId, text) {
+    return `${providerId}:${crypto.createHash('sha256').update(text).digest('hex')}`;
+  }
+
+  /**
+   * Векторы из кеша; null - промах
+   * @param {Array<string>} keys
+   * @returns {Promise<Array<Array<number>|null>>}
+   */
+  async getMany(keys) {
+    let values;
+    try {
+      values = await this.read(keys);
+      this.recovered();
+    } catch (error) {
+      this.failed('read', error);
+      values = keys.map(() => null);
+    }
+
+    for (const value of values) {
+      if (value) this.stats.hits++;
+      else this.stats.misses++;
+    }
+    return values;
+  }
+
+  /**
+   * @param {Array<{key: string, embedding: Array<number>}>} entries
+   */
+  async setMany(entries) {
+    if (entries.length === 0) return;
+
+    try {
+      await this.write(entries);
+      this.stats.writes += entries.length;
+      this.recovered();
+    } catch (error) {
+      this.failed('write', error);
+    }
+  }
+
+  /**
+   * Сбой кеша: работа продолжается без него (промахи), в лог - один раз,
+   * пока кеш снова не заработает
+   * @param {string} operation - read | write
+   * @param {Error} error
+   */
+  failed(operation, error) {
+    this.stats.errors++;
+    if (this.failing) return;
+
+    this.failing = true;
+    console.warn(`⚠️  Embedding cache (${this.backend}) ${operation} failed, continuing without cache: ${error.message}`);
+  }
+
+  /**
+   * Кеш снова работает после сбоя
+   */
+  recovered() {
+    if (!this.failing) return;
+
+    this.failing = false;
+    console.log(`✅ Embedding cache (${this.backend}) is available again`);
+  }
+
+  /**
+   * Статистика попаданий: каждое попадание - embedding, за который не заплатили
+   * @returns {Object}
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      backend: this.backend,
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0
+    };
+  }
+}
+
+/**
+ * LRU в памяти процесса
+ */
+class MemoryEmbeddingCache extends EmbeddingCache {
+  constructor(config = {}) {
+    super('memory');
+    this.maxEntries = config.maxEntries || 10000;
+    this.entries = new Map();
+  }
+
+  async read(keys) {
+    return keys.map(key => {
+      const value = this.entries.get(key);
+      if (!value) return null;
+
+      // Map хранит порядок вставки: перевставка делает ключ самым свежим
+      this.entries.delete(key);
+      this.entries.set(key, value);
+      return value;
+    });
+  }
+
+  async write(entries) {
+    for (const { key, embedding } of entries) {
+      this.entries.delete(key);
+      this.entries.set(key, embedding);
+    }
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Файл на вектор в директории, шардированной по первым символам хэша
+ */
+class FileEmbeddingCache extends EmbeddingCache {
+  constructor(config = {}) {
+    super('file');
+    this.directory = config.directory;
+  }
+
+  filePath(key) {
+    const separator = key.lastIndexOf(':');
+    const providerId = key.slice(0, separator);
+    const hash = key.slice(separator + 1);
+    return path.join(this.directory, providerId.replace(/[^\w.-]+/g, '_'), hash.slice(0, 2), `${hash}.json`);
+  }
+
+  async read(keys) {
+    return Promise.all(keys.map(async key => {
+      try {
+        return JSON.parse(await fs.promises.readFile(this.filePath(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }));
+  }
+
+  async write(entries) {
+    for (const { key, embedding } of entries) {
+      const file = this.filePath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify(embedding), 'utf8');
+    }
+  }
+}
+
+/**
+ * Redis (docker-compose поднимает сервис redis)
+ */
+class RedisEmbeddingCache extends EmbeddingCache {
+  constructor(config = {}) {
+    super('redis');
+    this.url = config.url;
+    this.ttl = config.ttl || null; // секунды; null - без срока
+    this.prefix = config.prefix || 'embedding:';
+    this.connectTimeout = config.connectTimeout || 1000;
+    this.client = null;
+    this.connecting = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Клиент Redis. Пока Redis недоступен, команды не ждут в очереди,
+   * а сразу считаются промахом; клиент переподключается в фоне.
+   * @returns {Promise<Object>}
+   */
+  async connect() {
+    if (!this.client) {
+      const { createClient } = require('redis');
+      this.client = createClient({
+        url: this.url,
+        disableOfflineQueue: true,
+        socket: { reconnectStrategy: retries => Math.min(retries * 1000, 30000) }
+      });
+      this.client.on('error', error => {
+        if (error.message !== this.lastError) {
+          console.warn(`⚠️  Redis: ${error.message}`);
+          this.lastError = error.message;
+        }
+      });
+      this.client.on('ready', () => {
+        this.lastError = null;
+      });
+      this.connecting = Promise.race([
+        this.client.connect(),
+        new Promise(resolve => setTimeout(resolve, this.connectTimeout).unref())
+      ]).catch(() => {});
+    }
+
+    await this.connecting;
+    if (!this.client.isReady) {
+      throw new Error('Redis is not connected');
+    }
+    return this.client;
+  }
+
+  async read(keys) {
+    const client = await this.connect();
+    const values = await client.mGet(keys.map(key => this.prefix + key));
+    return values.map(value => (value ? JSON.parse(value) : null));
+  }
+
+  async write(entries) {
+    const client = await this.connect();
+    const multi = client.multi();
+    for (const { key, embedding } of entries) {
+      multi.set(this.prefix + key, JSON.stringify(embedding), this.ttl ? { EX: this.ttl } : undefined);
+    }
+    await multi.exec();
+  }
+
+  async close() {
+    if (this.client) {
+      await (this.client.isReady ? this.client.quit() : this.client.disconnect().catch(() => {}));
+      this.client = null;
+    }
+  }
+}
+
+/**
+ * Выбор хранилища кеша
+ * @param {Object} config
+ * @param {string} [config.redisUrl] - REDIS_URL
+ * @param {string} [config.directory] - EMBEDDING_CACHE_DIR
+ * @param {number} [config.maxEntries] - Размер LRU в памяти
+ * @param {number} [config.ttl] - TTL записей в Redis, секунды
+ * @returns {EmbeddingCache}
+ */
+function createEmbeddingCache(config = {}) {
+  if (config.redisUrl) {
+    return new RedisEmbeddingCache({ url: config.redisUrl, ttl: config.ttl });
+  }
+  if (config.directory) {
+    return new FileEmbeddingCache({ directory: config.directory });
+  }
+  return new MemoryEmbeddingCache({ maxEntries: config.maxEntries });
+}
+
+module.exports = {
+  EmbeddingCache,
+  FileEmbeddingCache,
+  MemoryEmbeddingCache,
+  RedisEmbeddingCache,
+  createEmbeddingCache
+};
@@ -0,0 +1,51 @@
+/**
+ * Embedding Providers
+ *
+ * Провайдер - объект с id ("<provider>:<model>", с размерностью, если она
+ * задана) и async embed(texts) → векторы.
+ * Выбирается конфигурацией (EMBEDDING_PROVIDER):
+ * - openai - OpenAI API (по умолчанию)
+ * - openai-compatible - self-hosted сервер с OpenAI-совместимым API
+ * - local - детерминированные hashed n-gram векторы, без сети и ключей
+ */
+
+const OpenAIEmbeddingProvider = require('./openai-provider');
+const OpenAICompatibleEmbeddingProvider = require('./openai-compatible-provider');
+const LocalEmbeddingProvider = require('./local-provider');
+const { createEmbeddingCache } = require('./cache');
+
+const PROVIDERS = {
+  'openai': OpenAIEmbeddingProvider,
+  'openai-compatible': OpenAICompatibleEmbeddingProvider,
+  'local': LocalEmbeddingProvider
+};
+
+/**
+ * Создание провайдера по имени
+ * @param {Object} config
+ * @param {string} [config.provider='openai'] - openai | openai-compatible | local
+ * @param {string} [config.model]
+ * @param {string} [config.baseUrl]
+ * @param {string} [config.apiKey]
+ * @param {number} [config.dimensions]
+ * @returns {Object}
+ */
+function createEmbeddingProvider(config = {}) {
+  const { provider = 'openai', ...options } = config;
+  const Provider = PROVIDERS[provider];
+
+  if (!Provider) {
+    throw new Error(`Unknown embedding provider: ${provider} (use ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return new Provider(options);
+}
+
+module.exports = {
+  PROVIDERS,
+  createEmbeddingCache,
+  createEmbeddingProvider,
+  LocalEmbeddingProvider,
+  OpenAICompatibleEmbeddingProvider,
+  OpenAIEmbeddingProvider
+};
@@ -0,0 +1,91 @@
+/**
+ * Local Embedding Provider - детерминированные hashed n-gram векторы
+ *
+ * Работает полностью offline: слова и символьные n-граммы хэшируются
+ * в вектор фиксированной размерности (feature hashing), вектор
+ * нормализуется. Качество ниже нейросетевых моделей, но поиск по
+ * совпадающим словам и их формам работает - достаточно для тестов,
+ * локальной разработки и CI без ключей.
+ */
+
+// Слова: буквы и цифры любого алфавита (включая кириллицу)
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+class LocalEmbeddingProvider {
+  /**
+   * @param {Object} config
+   * @param {number} [config.dimensions=384] - Размерность вектора
+   * @param {number} [config.ngramSize=3] - Длина символьных n-грамм
+   */
+  constructor(config = {}) {
+    this.name = 'local';
+    this.dimensions = config.dimensions || 384;
+    this.ngramSize = config.ngramSize || 3;
+    this.model = `hashed-ngram-${this.ngramSize}-${this.dimensions}`;
+  }
+
+  /**
+   * Идентификатор провайдера и модели - записывается в коллекцию и в чанки
+   * @returns {string}
+   */
+  get id() {
+    return `${this.name}:${this.model}`;
+  }
+
+  /**
+   * Embeddings для списка текстов
+   * @param {Array<string>} texts
+   * @returns {Promise<Array<Array<number>>>}
+   */
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  /**
+   * @param {string} text
+   * @returns {Array<number>}
+   */
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    for (const word of text.toLowerCase().match(WORD_PATTERN) || []) {
+      this.addFeature(vector, `w:${word}`, 1);
+
+      // Символьные n-граммы с границами слова: близкие словоформы дают общие признаки
+      const padded = `#${word}#`;
+      for (let i = 0; i + this.ngramSize <= padded.length; i++) {
+        this.addFeature(vector, `g:${padded.slice(i, i + this.ngramSize)}`, 0.5);
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  /**
+   * Хэш признака задаёт позицию и знак (знак уменьшает смещение от коллизий)
+   * @param {Array<number>} vector
+   * @param {string} feature
+   * @param {number} weight
+   */
+  addFeature(vector, feature, weight) {
+    const hash = this.hash(feature);
+    vector[hash % this.dimensions] += (hash & 0x80000000) ? -weight : weight;
+  }
+
+  /**
+   * FNV-1a, 32 бита
+   * @param {string} value
+   * @returns {number}
+   */
+  hash(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+module.exports = LocalEmbeddingProvider;
@@ -0,0 +1,99 @@
+/**
+ * OpenAI-compatible Embedding Provider
+ *
+ * Любой сервер с API /v1/embeddings в формате OpenAI: self-hosted модели
+ * (text-embeddings-inference, vLLM, Ollama, LocalAI и т.п.).
+ */
+
+/**
+ * Retry-After: секунды или HTTP-дата → миллисекунды
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class OpenAICompatibleEmbeddingProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.baseUrl - Базовый URL API, например http://localhost:8080/v1
+   * @param {string} config.model - Модель embeddings
+   * @param {string} [config.apiKey] - Bearer-токен, если сервер его требует
+   * @param {number} [config.dimensions] - Размерность (если модель её поддерживает)
+   * @param {Object} [config.headers] - Дополнительные заголовки
+   */
+  constructor(config = {}) {
+    if (!config.baseUrl) {
+      throw new Error('Embedding API base URL is required for the openai-compatible provider');
+    }
+    if (!config.model) {
+      throw new Error('Embedding model is required for the openai-compatible provider');
+    }
+
+    this.name = 'openai-compatible';
+    this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+    this.model = config.model;
+    this.apiKey = config.apiKey;
+    this.dimensions = config.dimensions || null;
+    this.headers = config.headers || {};
+  }
+
+  /**
+   * Идентификатор провайдера и модели - записывается в коллекцию и в чанки.
+   * Укороченные embeddings (dimensions) той же модели - другое пространство
+   * векторов, поэтому размерность входит в id: "<provider>:<model>:<dimensions>"
+   * @returns {string}
+   */
+  get id() {
+    return this.dimensions
+      ? `${this.name}:${this.model}:${this.dimensions}`
+      : `${this.name}:${this.model}`;
+  }
+
+  /**
+   * Embeddings для списка текстов
+   * @param {Array<string>} texts
+   * @returns {Promise<Array<Array<number>>>}
+   */
+  async embed(texts) {
+    const response = await fetch(`${this.baseUrl}/embeddings`, {
+      method: 'POST',
+      headers: {
+        ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+        'Content-Type': 'application/json',
+        ...this.headers
+      },
+      body: JSON.stringify({
+        model: this.model,
+        input: texts,
+        ...(this.dimensions && { dimensions: this.dimensions })
+      })
+    });
+
+    if (!response.ok) {
+      // status и retryAfter нужны для повторов (RAGEngine.embedWithRetry)
+      const error = new Error(`Embedding API error (${this.name}): ${response.status}`);
+      error.status = response.status;
+      error.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      throw error;
+    }
+
+    const data = await response.json();
+
+    // Порядок ответа задаёт index, а не позиция в массиве
+    return [...data.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+module.exports = OpenAICompatibleEmbeddingProvider;
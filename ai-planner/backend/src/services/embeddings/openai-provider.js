@@ -0,0 +1,36 @@
+/**
+ * OpenAI Embedding Provider - https://api.openai.com/v1/embeddings
+ */
+
+const OpenAICompatibleEmbeddingProvider = require('./openai-compatible-provider');
+
+class OpenAIEmbeddingProvider extends OpenAICompatibleEmbeddingProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.apiKey - OPENAI_API_KEY
+   * @param {string} [config.model='text-embedding-3-large']
+   * @param {number} [config.dimensions] - Укороченные embeddings (text-embedding-3-*)
+   */
+  constructor(config = {}) {
+    super({
+      ...config,
+      baseUrl: config.baseUrl || 'https://api.openai.com/v1',
+      model: config.model || 'text-embedding-3-large'
+    });
+
+    this.name = 'openai';
+  }
+
+  async embed(texts) {
+    if (!this.apiKey) {
+      // Ошибка конфигурации: повтор не поможет (RAGEngine.embedWithRetry)
+      const error = new Error('OPENAI_API_KEY is required for the openai embedding provider');
+      error.code = 'EMBEDDING_API_KEY_MISSING';
+      throw error;
+    }
+
+    return super.embed(texts);
+  }
+}
+
+module.exports = OpenAIEmbeddingProvider;
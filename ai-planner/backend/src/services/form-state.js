@@ -0,0 +1,178 @@
+/**
+ * Form State - факты о заполнении формы, посчитанные кодом
+ *
+ * Сколько полей заполнено, какие обязательные поля пусты, какие значения не
+ * проходят проверку и какие поля можно заполнить теперь, когда заполнены все
+ * их aiDependsOn. Эти факты идут в промпт AI помощника как точные данные:
+ * модель не угадывает прогресс по найденным чанкам.
+ *
+ * Поля, скрытые условиями (conditions), не учитываются.
+ */
+
+const { hasValue, isFilled, validateFieldValue } = require('../utils/field-values');
+
+// Сколько полей каждого списка попадает в промпт
+const PROMPT_LIST_LIMIT = 30;
+
+/**
+ * Выполнено ли условие показа поля (операторы схемы шаблона;
+ * сравнение строк без учёта регистра, как в HTML-планировщике)
+ * @param {Object} condition - { fieldId, operator, value }
+ * @param {Object} formData
+ * @returns {boolean}
+ */
+function conditionMet(condition, formData) {
+  const actual = formData[condition.fieldId];
+  const expected = condition.value;
+  const same = typeof actual === 'boolean'
+    ? actual === (expected === true || expected === 'true')
+    : String(actual ?? '').toLowerCase() === String(expected ?? '').toLowerCase();
+
+  switch (condition.operator) {
+    case 'equals':
+      return same;
+    case 'notEquals':
+      return !same;
+    case 'contains':
+      return Array.isArray(actual)
+        ? actual.map(String).includes(String(expected))
+        : String(actual ?? '').toLowerCase().includes(String(expected ?? '').toLowerCase());
+    case 'notEmpty':
+      return hasValue(actual);
+    case 'empty':
+      return !hasValue(actual);
+    case 'greaterThan':
+      return Number(actual) > Number(expected);
+    case 'lessThan':
+      return Number(actual) < Number(expected);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Показано ли поле: выполнены все его условия
+ * @param {Object} field
+ * @param {Object} formData
+ * @returns {boolean}
+ */
+function isVisible(field, formData) {
+  return (field.conditions || []).every(condition => conditionMet(condition, formData));
+}
+
+/**
+ * Краткое описание поля для фактов и ответа API
+ * @param {Object} field
+ * @returns {{id, label, path, pointer}}
+ */
+function fieldSummary(field) {
+  return {
+    id: field.id,
+    label: field.label,
+    path: field.path,
+    pointer: field.pointer
+  };
+}
+
+/**
+ * Анализ состояния формы
+ * @param {Array<Object>} fields - Поля шаблона (RAGEngine.getTemplateFields)
+ * @param {Object} formData - { fieldId: value }
+ * @returns {Object} { total, filled, required, requiredFilled, hidden,
+ *   missingRequired, invalid, readyToFill }
+ */
+function analyzeFormState(fields, formData = {}) {
+  const labels = new Map(fields.map(field => [field.id, field.label]));
+  const state = {
+    total: 0,
+    filled: 0,
+    required: 0,
+    requiredFilled: 0,
+    hidden: 0,
+    missingRequired: [],
+    invalid: [],
+    readyToFill: []
+  };
+
+  for (const field of fields) {
+    if (!isVisible(field, formData)) {
+      state.hidden++;
+      continue;
+    }
+
+    const value = formData[field.id];
+    const filled = isFilled(field, value);
+    state.total++;
+    if (filled) state.filled++;
+
+    if (field.required) {
+      state.required++;
+      if (filled) state.requiredFilled++;
+      else state.missingRequired.push(fieldSummary(field));
+    }
+
+    const error = validateFieldValue(field, value);
+    if (error) {
+      state.invalid.push({ ...fieldSummary(field), value, error });
+    }
+
+    // Все входные данные для автозаполнения уже есть, а поле ещё пустое
+    const dependsOn = field.aiDependsOn || [];
+    if (!filled && dependsOn.length > 0 && dependsOn.every(id => hasValue(formData[id]))) {
+      state.readyToFill.push({
+        ...fieldSummary(field),
+        dependsOn: dependsOn.map(id => ({ id, label: labels.get(id) || id }))
+      });
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Факты о форме для промпта
+ * @param {Object} state - Результат analyzeFormState
+ * @returns {string}
+ */
+function formatFormState(state) {
+  const list = (items, format) => {
+    const lines = items.slice(0, PROMPT_LIST_LIMIT).map(item => `  - ${format(item)}`);
+    if (items.length > PROMPT_LIST_LIMIT) {
+      lines.push(`  - … и ещё ${items.length - PROMPT_LIST_LIMIT}`);
+    }
+    return lines.join('\n');
+  };
+  const name = item => `${item.label} (${item.id})${item.path ? ` - ${item.path}` : ''}`;
+
+  const lines = [
+    `- Заполнено полей: ${state.filled} из ${state.total}`,
+    `- Заполнено обязательных полей: ${state.requiredFilled} из ${state.required}`
+  ];
+
+  if (state.hidden > 0) {
+    lines.push(`- Скрыто условиями и не учитывается: ${state.hidden}`);
+  }
+
+  lines.push(state.missingRequired.length > 0
+    ? `- Не заполнены обязательные поля:\n${list(state.missingRequired, name)}`
+    : '- Все обязательные поля заполнены');
+
+  if (state.invalid.length > 0) {
+    lines.push(`- Значения не проходят проверку:\n${list(state.invalid,
+      item => `${name(item)}: ${JSON.stringify(item.value)} - ${item.error}`)}`);
+  }
+
+  if (state.readyToFill.length > 0) {
+    lines.push(`- Можно заполнить сейчас (заполнены все поля, от которых они зависят):\n${list(state.readyToFill,
+      item => `${name(item)}, зависит от: ${item.dependsOn.map(dep => dep.label).join(', ')}`)}`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  analyzeFormState,
+  conditionMet,
+  formatFormState,
+  isVisible
+};
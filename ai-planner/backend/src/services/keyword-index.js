@@ -0,0 +1,168 @@
+/**
+ * Keyword Index - полнотекстовый индекс чанков (BM25)
+ *
+ * Дополняет векторный поиск там, где важны точные слова: метки полей,
+ * ID вроде field-base-url, термины вроде OAuth. Русские слова приводятся
+ * к основе стеммером Портера, составные ID индексируются целиком и по частям.
+ *
+ * Индекс живёт в памяти процесса: RAGEngine наполняет его при индексации
+ * и перестраивает из документов векторного хранилища при старте.
+ */
+
+const { stem } = require('../utils/russian-stemmer');
+const { matchesWhere } = require('./vector-stores/filters');
+
+// Слова, которые встречаются почти везде и не помогают ранжированию
+const STOP_WORDS = new Set([
+  'и', 'в', 'во', 'не', 'что', 'он', 'на', 'я', 'с', 'со', 'как', 'а', 'то', 'все', 'она', 'так',
+  'его', 'но', 'да', 'ты', 'к', 'у', 'же', 'вы', 'за', 'бы', 'по', 'ее', 'мне', 'есть', 'от', 'из',
+  'ли', 'если', 'или', 'для', 'до', 'это', 'этот', 'эта', 'при', 'где', 'какой', 'какие', 'о', 'об',
+  'the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'is', 'are', 'be', 'with', 'by'
+]);
+
+// Слово или составной идентификатор: field-base-url, api.v2, snake_case
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[-_.][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Термы текста: основы слов и составные идентификаторы целиком
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  const terms = [];
+
+  for (const [token] of text.toLowerCase().replace(/ё/g, 'е').matchAll(TOKEN_PATTERN)) {
+    const words = token.split(/[-_.]/);
+    if (words.length > 1) {
+      terms.push(token);
+    }
+
+    for (const word of words) {
+      if (word.length < 2 || STOP_WORDS.has(word)) continue;
+      terms.push(/[а-я]/.test(word) ? stem(word) : word);
+    }
+  }
+
+  return terms;
+}
+
+class KeywordIndex {
+  /**
+   * @param {Object} config
+   * @param {number} [config.k1=1.2] - Насыщение частоты терма
+   * @param {number} [config.b=0.75] - Нормализация по длине документа
+   */
+  constructor(config = {}) {
+    this.k1 = config.k1 ?? 1.2;
+    this.b = config.b ?? 0.75;
+    this.documents = new Map(); // id → { terms: Map<term, tf>, length, metadata, document }
+    this.documentFrequency = new Map(); // term → число документов
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Добавление или замена документов
+   * @param {Array<{id, text, metadata, document}>} records - text индексируется,
+   *   document возвращается в результатах
+   */
+  upsert(records) {
+    this.remove(records.map(record => record.id));
+
+    for (const record of records) {
+      const terms = new Map();
+      const tokens = tokenize(record.text);
+      for (const term of tokens) {
+        terms.set(term, (terms.get(term) || 0) + 1);
+      }
+      for (const term of terms.keys()) {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+      }
+
+      this.documents.set(record.id, {
+        terms,
+        length: tokens.length,
+        metadata: record.metadata || {},
+        document: record.document ?? null
+      });
+      this.totalLength += tokens.length;
+    }
+  }
+
+  /**
+   * @param {Array<string>} ids
+   */
+  remove(ids) {
+    for (const id of ids) {
+      const entry = this.documents.get(id);
+      if (!entry) continue;
+
+      for (const term of entry.terms.keys()) {
+        const count = this.documentFrequency.get(term) - 1;
+        if (count > 0) this.documentFrequency.set(term, count);
+        else this.documentFrequency.delete(term);
+      }
+      this.totalLength -= entry.length;
+      this.documents.delete(id);
+    }
+  }
+
+  /**
+   * Удаление документов, подходящих под фильтр метаданных
+   * @param {Object} where
+   * @returns {number} Число удалённых документов
+   */
+  removeWhere(where) {
+    const ids = [...this.documents]
+      .filter(([, entry]) => matchesWhere(entry.metadata, where))
+      .map(([id]) => id);
+    this.remove(ids);
+    return ids.length;
+  }
+
+  clear() {
+    this.documents.clear();
+    this.documentFrequency.clear();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Поиск BM25
+   * @param {string} query
+   * @param {Object} options - { topK, where }
+   * @returns {Array<{id, metadata, document, score}>} По убыванию score, только score > 0
+   */
+  search(query, options = {}) {
+    const { topK = 3, where = null } = options;
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || this.documents.size === 0) return [];
+
+    const averageLength = this.totalLength / this.documents.size || 1;
+    const results = [];
+
+    for (const [id, entry] of this.documents) {
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = entry.terms.get(term);
+        if (!tf) continue;
+
+        const df = this.documentFrequency.get(term);
+        const idf = Math.log(1 + (this.documents.size - df + 0.5) / (df + 0.5));
+        score += idf * (tf * (this.k1 + 1)) /
+          (tf + this.k1 * (1 - this.b + this.b * entry.length / averageLength));
+      }
+
+      if (score > 0 && matchesWhere(entry.metadata, where)) {
+        results.push({ id, metadata: entry.metadata, document: entry.document, score });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, topK);
+  }
+}
+
+module.exports = KeywordIndex;
+module.exports.tokenize = tokenize;
@@ -3,13 +3,48 @@
  *
  * Система для:
  * 1. Индексации чанков (создание embeddings)
- * 2. Семантического поиска (поиск релевантных чанков)
+ * 2. Поиска релевантных чанков (векторного, keyword BM25 и гибридного)
  * 3. Генерации ответов (RAG с Claude)
  * 4. Автозаполнения полей
  */
 
+const crypto = require('crypto');
 const Anthropic = require('@anthropic-ai/sdk');
-const { ChromaClient } = require('chromadb');
+const { collectFields } = require('../utils/template-tree');
+const { chunkFields, chunkToText, fieldDocumentText } = require('../utils/chunk-text');
+const { estimateTokens } = require('../utils/tokens');
+const { hasValue, parseFieldValue } = require('../utils/field-values');
+const { createEmbeddingCache, createEmbeddingProvider } = require('./embeddings');
+const { createVectorStore } = require('./vector-stores');
+const KeywordIndex = require('./keyword-index');
+const { buildWhere, filterMetadata, nodeNames, pathNames } = require('./search-filters');
+const { createScorer, selectContext } = require('./rerankers');
+const { parseCitations, sourceContext } = require('./citations');
+const { analyzeFormState, formatFormState } = require('./form-state');
+const { planAutoFill } = require('./autofill-plan');
+
+// Режимы searchChunks: векторный, keyword (BM25) и их слияние
+const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+
+// Сетевые ошибки запроса embeddings, которые имеет смысл повторить
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT']);
+
+/**
+ * Временная ли ошибка embeddings: HTTP 429/5xx или обрыв сети.
+ * Ошибки конфигурации (нет ключа, неверная модель) и 4xx не повторяются
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryableEmbeddingError(error) {
+  if (error.status) {
+    return error.status === 429 || error.status >= 500;
+  }
+  if (RETRYABLE_NETWORK_CODES.has(error.code) || RETRYABLE_NETWORK_CODES.has(error.cause?.code)) {
+    return true;
+  }
+  // fetch (undici) сообщает о недоступности сервера как TypeError: fetch failed
+  return error instanceof TypeError && error.message === 'fetch failed';
+}
 
 class RAGEngine {
   constructor(config) {
@@ -17,28 +52,107 @@ class RAGEngine {
       apiKey: config.anthropicApiKey
     });
 
-    this.openaiApiKey = config.openaiApiKey;
+    this.collectionName = config.collectionName || 'planner-chunks';
+    this.model = config.model || 'claude-3-5-sonnet-20241022';
 
-    this.chroma = new ChromaClient({
-      path: config.chromaUrl || 'http://localhost:8000'
+    // Векторное хранилище: готовый объект или имя (chroma | file | memory)
+    this.store = config.vectorStore && typeof config.vectorStore === 'object'
+      ? config.vectorStore
+      : createVectorStore({
+        type: config.vectorStore || 'chroma',
+        url: config.chromaUrl,
+        path: config.vectorStorePath,
+        collectionName: this.collectionName
+      });
+    this.initialized = false;
+
+    // Поля как отдельные документы (field-level retrieval) - в своей коллекции
+    this.fieldStore = config.fieldVectorStore || createVectorStore({
+      type: this.store.name,
+      url: config.chromaUrl,
+      path: config.vectorStorePath,
+      collectionName: `${this.collectionName}-fields`
     });
 
-    this.collectionName = config.collectionName || 'planner-chunks';
-    this.model = config.model || 'claude-3-5-sonnet-20241022';
-    this.embeddingModel = config.embeddingModel || 'text-embedding-3-large';
+    // Keyword-индекс (BM25) строится рядом с векторами и сливается с ними
+    // через reciprocal rank fusion
+    this.keywordIndex = new KeywordIndex();
+    this.fieldKeywordIndex = new KeywordIndex();
+    this.searchMode = config.searchMode || 'hybrid';
+    this.rrfK = config.rrfK || 60;
+
+    // Re-ranking найденного перед промптом (heuristic | llm | готовый scorer):
+    // из rerankCandidates кандидатов MMR выбирает разнообразный набор,
+    // который помещается в contextTokenBudget. Без reranker - top-3 поиска.
+    this.reranker = !config.reranker || config.reranker === 'none'
+      ? null
+      : typeof config.reranker === 'object'
+        ? config.reranker
+        : createScorer({
+          type: config.reranker,
+          anthropic: this.anthropic,
+          model: config.rerankModel || this.model
+        });
+    this.rerankCandidates = config.rerankCandidates || 12;
+    this.contextTokenBudget = config.contextTokenBudget || 3000;
+    this.mmrLambda = config.mmrLambda ?? 0.7;
+
+    // История разговора в промпте: последние сообщения в пределах бюджета,
+    // более ранние сворачиваются в краткое содержание (compactConversation)
+    this.historyTokenBudget = config.historyTokenBudget || 1500;
+
+    // Автозаполнение: ответ, не прошедший проверку типа поля, запрашивается
+    // повторно с текстом ошибки не больше autofillRetries раз
+    this.autofillRetries = Number.isInteger(config.autofillRetries) && config.autofillRetries >= 0
+      ? config.autofillRetries
+      : 2;
+    // Пакетное автозаполнение: не больше autofillBatchLimit полей за запрос
+    // (каждое поле - отдельные запросы к Claude)
+    this.autofillBatchLimit = config.autofillBatchLimit || 10;
+
+    // Провайдер embeddings: готовый объект или имя (openai | openai-compatible | local).
+    // OPENAI_API_KEY уходит только в OpenAI: сторонний сервер получает лишь embeddingApiKey
+    const embeddingProvider = config.embeddingProvider || 'openai';
+    this.embedder = typeof embeddingProvider === 'object'
+      ? embeddingProvider
+      : createEmbeddingProvider({
+        provider: embeddingProvider,
+        model: config.embeddingModel,
+        baseUrl: config.embeddingBaseUrl,
+        apiKey: embeddingProvider === 'openai'
+          ? config.embeddingApiKey || config.openaiApiKey
+          : config.embeddingApiKey,
+        dimensions: config.embeddingDimensions
+      });
+
+    // Кеш embeddings: Redis (REDIS_URL), директория на диске или LRU в памяти;
+    // embeddingCache: false отключает кеш
+    this.embeddingCache = config.embeddingCache === false
+      ? null
+      : config.embeddingCache || createEmbeddingCache({
+        redisUrl: config.redisUrl,
+        directory: config.embeddingCacheDir
+      });
+
+    // Пакетные запросы embeddings и повторы с exponential backoff
+    this.embeddingBatchSize = config.embeddingBatchSize || 32;
+    this.embeddingMaxRetries = config.embeddingMaxRetries ?? 5;
+    this.embeddingRetryDelay = config.embeddingRetryDelay || 1000; // мс, удваивается
+    this.embeddingMaxRetryDelay = config.embeddingMaxRetryDelay || 60000;
   }
 
   /**
-   * Инициализация: создание коллекции в ChromaDB
+   * Инициализация: открытие коллекции в векторном хранилище
    */
   async initialize() {
     try {
       console.log('🔧 Initializing RAG Engine...');
-      this.collection = await this.chroma.getOrCreateCollection({
-        name: this.collectionName,
-        metadata: { description: 'Dynamic Planner template chunks' }
-      });
-      console.log('✅ RAG Engine initialized');
+      await this.store.initialize();
+      await this.fieldStore.initialize();
+      await this.rebuildKeywordIndex(this.store, this.keywordIndex);
+      await this.rebuildKeywordIndex(this.fieldStore, this.fieldKeywordIndex);
+      this.initialized = true;
+      console.log(`✅ RAG Engine initialized (store: ${this.store.name}, embeddings: ${this.embedder.id})`);
     } catch (error) {
       console.error('❌ Failed to initialize RAG Engine:', error);
       throw error;
@@ -46,138 +160,473 @@ class RAGEngine {
   }
 
   /**
-   * Индексация чанков: создание embeddings и сохранение в векторную БД
+   * Индексация чанков: создание embeddings и сохранение в векторную БД.
+   * Embeddings запрашиваются пакетами, и каждый пакет сразу пишется в БД
+   * (upsert), поэтому прерванный запуск продолжается с места остановки: чанки,
+   * уже проиндексированные с тем же contentHash, пропускаются. Чанки шаблона,
+   * которых нет в новой версии, удаляются из индекса.
    * @param {Array} chunks - Массив чанков из шаблона
    * @param {string} templateId - ID шаблона
+   * @param {Object} options
+   * @param {boolean} [options.fields=false] - Проиндексировать и каждое поле отдельным документом
+   * @param {string} [options.category] - metadata.category шаблона (для фильтров поиска)
+   * @returns {Promise<Object>} { indexed, added, updated, removed, unchanged, embedded,
+   *   skipped, failed, errors, fields?, ... }
    */
-  async indexChunks(chunks, templateId) {
+  async indexChunks(chunks, templateId, options = {}) {
     console.log(`📊 Indexing ${chunks.length} chunks for template ${templateId}...`);
 
-    if (!this.collection) {
+    if (!this.initialized) {
       await this.initialize();
     }
 
-    const ids = [];
-    const embeddings = [];
-    const metadatas = [];
-    const documents = [];
+    const indexed = await this.getIndexedHashes(templateId);
+    const pending = chunks.filter(chunk => indexed.get(chunk.id) !== chunk.contentHash);
+    if (pending.length < chunks.length) {
+      console.log(`   ${chunks.length - pending.length} chunks already indexed, resuming with ${pending.length}`);
+    }
 
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i];
-      console.log(`   Processing chunk ${i + 1}/${chunks.length}: ${chunk.id}`);
+    const counts = { added: 0, updated: 0 };
+    const result = await this.embedChunks(pending, {
+      onBatch: async batch => {
+        await this.storeChunks(batch, templateId, { category: options.category });
+        for (const chunk of batch) {
+          counts[indexed.has(chunk.id) ? 'updated' : 'added']++;
+        }
+      }
+    });
 
-      // Преобразуем chunk в текст
-      const chunkText = this.chunkToText(chunk);
+    // Чанки прежней версии шаблона, которых больше нет
+    const current = new Set(chunks.map(chunk => chunk.id));
+    const orphans = [...indexed.keys()].filter(chunkId => !current.has(chunkId));
+    const removed = await this.removeChunks(orphans, templateId);
 
-      // Создаём embedding
-      const embedding = await this.getEmbedding(chunkText);
+    const stored = counts.added + counts.updated;
+    const skipped = result.skipped + chunks.length - pending.length;
+    console.log(`✅ Indexed ${stored} chunks (added ${counts.added}, updated ${counts.updated}, removed ${removed}, skipped ${skipped}, failed ${result.failed})`);
 
-      ids.push(`${templateId}:${chunk.id}`);
-      embeddings.push(embedding);
-      metadatas.push({
-        templateId,
-        chunkId: chunk.id,
-        title: chunk.title,
-        tags: chunk.tags.join(','),
-        startLine: chunk.startLine,
-        endLine: chunk.endLine,
-        sectionCount: chunk.content.sections.length
-      });
-      documents.push(chunkText);
+    const fields = options.fields ? await this.indexFields(chunks, templateId, options) : null;
+    await this.flushIndex();
+
+    return {
+      indexed: stored,
+      ...counts,
+      removed,
+      unchanged: chunks.length - pending.length,
+      embedded: result.embedded,
+      skipped,
+      failed: result.failed + (fields?.failed || 0),
+      errors: [...result.errors, ...(fields?.errors || [])],
+      ...(fields && {
+        fields: {
+          indexed: fields.indexed,
+          added: fields.added,
+          updated: fields.updated,
+          removed: fields.removed,
+          skipped: fields.skipped,
+          failed: fields.failed
+        }
+      }),
+      templateId,
+      collectionName: this.collectionName
+    };
+  }
+
+  /**
+   * Сохранение изменений хранилищ чанков и полей (встроенное хранилище
+   * пишет файл отложенно)
+   */
+  async flushIndex() {
+    await Promise.all([this.store.flush(), this.fieldStore.flush()]);
+  }
+
+  /**
+   * Удаление чанков шаблона из индекса (векторы и keyword-индекс)
+   * @param {Array<string>} chunkIds
+   * @param {string} templateId
+   * @returns {Promise<number>} Число удалённых
+   */
+  async removeChunks(chunkIds, templateId) {
+    if (chunkIds.length === 0) return 0;
 
-      // Задержка для rate limiting
-      if (i < chunks.length - 1) {
-        await this.sleep(100);
+    const ids = chunkIds.map(chunkId => `${templateId}:${chunkId}`);
+    const removed = await this.store.delete({ ids });
+    this.keywordIndex.remove(ids);
+    console.log(`   🗑️ Removed ${removed} orphaned chunks`);
+
+    return removed;
+  }
+
+  /**
+   * Field-level индекс: каждое поле - отдельный документ с путём раздела,
+   * типом, обязательностью, aiHints и ссылкой на родительский chunk.
+   * Как и чанки, пишется пакетами; поля с неизменённым текстом пропускаются,
+   * удалённые из шаблона поля убираются из индекса.
+   * @param {Array} chunks
+   * @param {string} templateId
+   * @param {Object} [options] - { category }
+   * @returns {Promise<Object>} { indexed, added, updated, removed, skipped, failed, errors }
+   */
+  async indexFields(chunks, templateId, options = {}) {
+    const records = chunks.flatMap(chunk => this.fieldRecords(chunk, templateId, options.category));
+    console.log(`📊 Indexing ${records.length} fields for template ${templateId}...`);
+
+    const existing = await this.fieldStore.get({ where: { templateId } });
+    const indexed = new Map(existing.map(({ id, metadata }) => [
+      id,
+      metadata.embeddingProvider === this.embedder.id ? metadata.contentHash : null
+    ]));
+    const pending = records.filter(record => indexed.get(record.id) !== record.metadata.contentHash);
+
+    const result = {
+      indexed: 0,
+      added: 0,
+      updated: 0,
+      removed: 0,
+      skipped: records.length - pending.length,
+      failed: 0,
+      errors: []
+    };
+
+    const current = new Set(records.map(record => record.id));
+    const orphans = [...indexed.keys()].filter(id => !current.has(id));
+    if (orphans.length > 0) {
+      result.removed = await this.fieldStore.delete({ ids: orphans });
+      this.fieldKeywordIndex.remove(orphans);
+    }
+
+    for (let start = 0; start < pending.length; start += this.embeddingBatchSize) {
+      const batch = pending.slice(start, start + this.embeddingBatchSize);
+      try {
+        const embeddings = await this.embedTexts(batch.map(record => record.document));
+        await this.checkEmbeddingSpace(embeddings[0].length);
+
+        batch.forEach((record, index) => {
+          record.embedding = embeddings[index];
+        });
+        await this.fieldStore.upsert(batch);
+        this.fieldKeywordIndex.upsert(batch.map(record => this.keywordRecord(record)));
+        result.indexed += batch.length;
+        for (const record of batch) {
+          result[indexed.has(record.id) ? 'updated' : 'added']++;
+        }
+      } catch (error) {
+        console.error(`   ❌ Field batch failed: ${error.message}`);
+        result.failed += batch.length;
+        result.errors.push({ fieldIds: batch.map(record => record.metadata.fieldId), message: error.message });
       }
     }
 
-    // Сохраняем всё в ChromaDB одним batch
-    await this.collection.add({
-      ids,
-      embeddings,
-      metadatas,
-      documents
+    console.log(`✅ Indexed ${result.indexed} fields (added ${result.added}, updated ${result.updated}, removed ${result.removed}, skipped ${result.skipped}, failed ${result.failed})`);
+
+    return result;
+  }
+
+  /**
+   * Документы полей chunk для field-level индекса
+   * @param {Object} chunk
+   * @param {string} templateId
+   * @param {string} [category] - metadata.category шаблона
+   * @returns {Array<{id, metadata, document}>}
+   */
+  fieldRecords(chunk, templateId, category = '') {
+    return chunkFields(chunk).map(({ field, entry }) => {
+      const document = fieldDocumentText(field, entry.path);
+
+      return {
+        id: `${templateId}:${field.id}`,
+        metadata: {
+          templateId,
+          fieldId: field.id,
+          chunkId: chunk.id,
+          label: field.label || field.id,
+          type: field.type || '',
+          required: Boolean(field.required),
+          path: entry.path,
+          pointer: entry.pointer || '',
+          startLine: entry.startLine,
+          endLine: entry.endLine,
+          aiHints: (field.aiHints || []).join('\n'),
+          tags: chunk.tags.join(','),
+          ...filterMetadata({
+            tags: chunk.tags,
+            sections: pathNames(entry.path),
+            fieldTypes: [field.type],
+            hasRequired: Boolean(field.required),
+            category
+          }),
+          contentHash: crypto.createHash('sha256').update(document).digest('hex').slice(0, 16),
+          embeddingProvider: this.embedder.id
+        },
+        document
+      };
     });
+  }
 
-    console.log(`✅ Successfully indexed ${chunks.length} chunks`);
+  /**
+   * contentHash уже проиндексированных чанков шаблона
+   * @param {string} templateId
+   * @returns {Promise<Map<string, string|null>>} chunkId → contentHash
+   *   (null - вектор другого провайдера, нужно пересчитать)
+   */
+  async getIndexedHashes(templateId) {
+    const existing = await this.store.get({ where: { templateId } });
 
-    return {
-      indexed: chunks.length,
-      templateId,
-      collectionName: this.collectionName
-    };
+    return new Map(existing.map(({ metadata }) => [
+      metadata.chunkId,
+      metadata.embeddingProvider === this.embedder.id ? metadata.contentHash : null
+    ]));
   }
 
   /**
-   * Преобразование chunk в текстовое представление для embedding
-   * @param {Object} chunk
-   * @returns {string}
+   * Создание embeddings для чанков пакетами: результат пишется в chunk.embedding.
+   * Чанки с embedding для текущего contentHash и провайдера не пересчитываются.
+   * Пакет, который не удалось посчитать после всех повторов, помечается как
+   * failed, обработка продолжается со следующего.
+   * @param {Array} chunks
+   * @param {Object} options
+   * @param {boolean} [options.force=false] - Пересчитать все embeddings
+   * @param {number} [options.batchSize] - Размер пакета (по умолчанию embeddingBatchSize)
+   * @param {Function} [options.onBatch] - async (chunks) => {} для готовых чанков пакета
+   *   (сохранение прогресса)
+   * @returns {Promise<{embedded: number, skipped: number, failed: number, errors: Array}>}
    */
-  chunkToText(chunk) {
-    let text = `# ${chunk.title}\n\n`;
+  async embedChunks(chunks, options = {}) {
+    const { force = false, batchSize = this.embeddingBatchSize, onBatch = null } = options;
+    const result = { embedded: 0, skipped: 0, failed: 0, errors: [] };
+
+    for (let start = 0; start < chunks.length; start += batchSize) {
+      const batch = chunks.slice(start, start + batchSize);
+      const pending = batch.filter(chunk => force || !this.hasFreshEmbedding(chunk));
+      let ready = batch;
+
+      console.log(`   Processing chunks ${start + 1}-${start + batch.length}/${chunks.length} (${pending.length} to embed)`);
+
+      if (pending.length > 0) {
+        try {
+          const embeddings = await this.embedTexts(pending.map(chunk => this.chunkToText(chunk)));
+
+          pending.forEach((chunk, index) => {
+            chunk.embedding = embeddings[index];
+            chunk.embeddingHash = chunk.contentHash;
+            chunk.embeddingProvider = this.embedder.id;
+          });
+          result.embedded += pending.length;
+        } catch (error) {
+          console.error(`   ❌ Batch failed: ${error.message}`);
+          result.failed += pending.length;
+          result.errors.push({ chunkIds: pending.map(chunk => chunk.id), message: error.message });
+          ready = batch.filter(chunk => !pending.includes(chunk));
+        }
+      }
 
-    if (chunk.tags && chunk.tags.length > 0) {
-      text += `Теги: ${chunk.tags.join(', ')}\n\n`;
+      result.skipped += batch.length - pending.length;
+
+      if (onBatch && ready.length > 0) {
+        await onBatch(ready);
+      }
     }
 
-    for (const section of chunk.content.sections) {
-      text += `## ${section.name}\n`;
+    return result;
+  }
 
-      if (section.description) {
-        text += `${section.description}\n\n`;
-      }
+  /**
+   * Embeddings для текстов: сначала кеш, провайдер - только для промахов
+   * @param {Array<string>} texts
+   * @returns {Promise<Array<Array<number>>>}
+   */
+  async embedTexts(texts) {
+    if (!this.embeddingCache) {
+      return this.embedWithRetry(texts);
+    }
+
+    const keys = texts.map(text => this.embeddingCache.key(this.embedder.id, text));
+    const embeddings = await this.embeddingCache.getMany(keys);
 
-      if (section.fields && section.fields.length > 0) {
-        text += `Поля:\n`;
-        for (const field of section.fields) {
-          text += `- **${field.label}** (${field.type})`;
+    // Промахи без повторов: одинаковые тексты считаются один раз
+    const misses = new Map();
+    embeddings.forEach((embedding, index) => {
+      if (!embedding && !misses.has(keys[index])) misses.set(keys[index], texts[index]);
+    });
+
+    if (misses.size > 0) {
+      const computed = await this.embedWithRetry([...misses.values()]);
+      const byKey = new Map([...misses.keys()].map((key, i) => [key, computed[i]]));
 
-          if (field.description) {
-            text += `: ${field.description}`;
-          }
+      keys.forEach((key, index) => {
+        if (!embeddings[index]) embeddings[index] = byKey.get(key);
+      });
+      await this.embeddingCache.setMany([...byKey].map(([key, embedding]) => ({ key, embedding })));
+    }
 
-          if (field.required) {
-            text += ' [обязательное]';
-          }
+    return embeddings;
+  }
 
-          if (field.aiHints && field.aiHints.length > 0) {
-            text += `\n  Подсказка: ${field.aiHints[0]}`;
-          }
+  /**
+   * Статистика кеша embeddings (попадания = сэкономленные запросы к провайдеру)
+   * @returns {Object|null}
+   */
+  getEmbeddingCacheStats() {
+    return this.embeddingCache ? this.embeddingCache.getStats() : null;
+  }
 
-          text += '\n';
+  /**
+   * Запрос embeddings с повторами: 429, 5xx и сетевые ошибки повторяются
+   * с exponential backoff, Retry-After сервера имеет приоритет; остальные
+   * ошибки (4xx, нет API ключа) пробрасываются сразу
+   * @param {Array<string>} texts
+   * @returns {Promise<Array<Array<number>>>}
+   */
+  async embedWithRetry(texts) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.embedder.embed(texts);
+      } catch (error) {
+        if (!isRetryableEmbeddingError(error) || attempt >= this.embeddingMaxRetries) {
+          throw error;
         }
-        text += '\n';
+
+        const delay = error.retryAfter ??
+          Math.min(this.embeddingRetryDelay * 2 ** attempt, this.embeddingMaxRetryDelay);
+        console.warn(`   ⏳ ${error.message}, retry ${attempt + 1}/${this.embeddingMaxRetries} in ${delay}ms`);
+        await this.sleep(delay);
       }
     }
+  }
+
+  /**
+   * Актуален ли chunk.embedding: посчитан для того же содержимого тем же провайдером
+   * @param {Object} chunk
+   * @returns {boolean}
+   */
+  hasFreshEmbedding(chunk) {
+    return Array.isArray(chunk.embedding) &&
+      chunk.embeddingHash === chunk.contentHash &&
+      chunk.embeddingProvider === this.embedder.id;
+  }
+
+  /**
+   * Сохранение чанков с готовыми embeddings в векторную БД (без embedding API)
+   * @param {Array} chunks - Чанки с заполненным embedding
+   * @param {string} templateId - ID шаблона
+   * @param {Object} [options] - { category } - metadata.category шаблона
+   */
+  async storeChunks(chunks, templateId, options = {}) {
+    await this.checkChunkEmbeddings(chunks);
+
+    const records = chunks.map(chunk => ({
+      id: `${templateId}:${chunk.id}`,
+      embedding: chunk.embedding,
+      metadata: this.chunkMetadata(chunk, templateId, options.category),
+      document: this.chunkToText(chunk)
+    }));
+
+    // upsert: повторная запись после прерванного запуска заменяет прежнюю
+    await this.store.upsert(records);
+    this.keywordIndex.upsert(records.map(record => this.keywordRecord(record)));
+
+    console.log(`   💾 Stored ${chunks.length} chunks`);
+
+    return {
+      indexed: chunks.length,
+      templateId,
+      collectionName: this.collectionName
+    };
+  }
+
+  /**
+   * Проверка готовых embeddings перед записью: у всех чанков есть вектор
+   * того же провайдера и той же размерности, что у коллекции
+   * @param {Array} chunks
+   */
+  async checkChunkEmbeddings(chunks) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const missing = chunks.filter(chunk => !Array.isArray(chunk.embedding));
+    if (missing.length > 0) {
+      throw new Error(`Chunks have no embeddings: ${missing.map(c => c.id).join(', ')}`);
+    }
+
+    const foreign = chunks.filter(chunk => chunk.embeddingProvider && chunk.embeddingProvider !== this.embedder.id);
+    if (foreign.length > 0) {
+      throw new Error(
+        `Chunks were embedded with ${foreign[0].embeddingProvider}, current embedding provider is ${this.embedder.id}`
+      );
+    }
 
-    return text.trim();
+    const dimensions = new Set(chunks.map(chunk => chunk.embedding.length));
+    if (dimensions.size > 1) {
+      throw new Error(`Chunk embeddings have different dimensions: ${[...dimensions].join(', ')}`);
+    }
+
+    if (chunks.length > 0) {
+      await this.checkEmbeddingSpace(chunks[0].embedding.length);
+    }
+  }
+
+  /**
+   * Метаданные chunk в векторной БД; теги, разделы и типы полей - флагами
+   * для фильтров (search-filters.js)
+   * @param {Object} chunk
+   * @param {string} templateId
+   * @param {string} [category] - metadata.category шаблона
+   * @returns {Object}
+   */
+  chunkMetadata(chunk, templateId, category = '') {
+    const entries = chunkFields(chunk);
+    const fields = entries.map(({ field }) => field);
+
+    return {
+      templateId,
+      chunkId: chunk.id,
+      title: chunk.title,
+      path: chunk.path || chunk.title,
+      tags: chunk.tags.join(','),
+      pointer: chunk.pointer || '',
+      startLine: chunk.startLine,
+      endLine: chunk.endLine,
+      sectionCount: chunk.content.sections.length,
+      linkedChunks: (chunk.links?.dependsOn || []).join(','),
+      fieldIds: (chunk.provenance?.fields || []).map(field => field.id).join(','),
+      // Определения полей с положением в шаблоне: ссылки из ответа ([1:field-id])
+      // и проверка состояния формы по templateId (getTemplateFields)
+      fieldDefinitions: JSON.stringify(entries.map(({ field, entry }) => ({
+        ...field,
+        path: entry.path,
+        pointer: entry.pointer
+      }))),
+      ...filterMetadata({
+        tags: chunk.tags,
+        sections: chunk.content.sections.flatMap(section => nodeNames(section)),
+        fieldTypes: [...new Set(fields.map(field => field.type))],
+        hasRequired: fields.some(field => field.required),
+        category
+      }),
+      contentHash: chunk.contentHash || '',
+      embeddingProvider: this.embedder.id
+    };
+  }
+
+  /**
+   * Преобразование chunk в текстовое представление для embedding
+   * @param {Object} chunk
+   * @returns {string}
+   */
+  chunkToText(chunk) {
+    return chunkToText(chunk);
   }
 
   /**
-   * Получение embedding от OpenAI
+   * Получение embedding от провайдера
    * @param {string} text
    * @returns {Array<number>}
    */
   async getEmbedding(text) {
     try {
-      const response = await fetch('https://api.openai.com/v1/embeddings', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.openaiApiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: this.embeddingModel,
-          input: text
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      return data.data[0].embedding;
+      const [embedding] = await this.embedTexts([text]);
+      return embedding;
     } catch (error) {
       console.error('Error getting embedding:', error);
       throw error;
@@ -185,74 +634,505 @@ class RAGEngine {
   }
 
   /**
-   * Семантический поиск релевантных чанков
+   * Коллекция хранит провайдера и размерность, которыми она построена:
+   * первая индексация их записывает, векторы другого провайдера отклоняются
+   * @param {number} dimension - Размерность новых векторов
+   * @param {Object} options
+   * @param {boolean} [options.record=true] - Записать провайдера в новую коллекцию
+   */
+  async checkEmbeddingSpace(dimension, options = {}) {
+    const { record = true } = options;
+    const recorded = this.store.getMetadata() || {};
+
+    if (recorded.embeddingProvider && recorded.embeddingProvider !== this.embedder.id) {
+      throw new Error(
+        `Collection ${this.collectionName} was built with ${recorded.embeddingProvider}, ` +
+        `current embedding provider is ${this.embedder.id}. Rebuild the index or use another collection.`
+      );
+    }
+
+    if (recorded.embeddingDimension && recorded.embeddingDimension !== dimension) {
+      throw new Error(
+        `Collection ${this.collectionName} has ${recorded.embeddingDimension}-dimensional embeddings, got ${dimension}`
+      );
+    }
+
+    if (!recorded.embeddingProvider && record) {
+      const metadata = {
+        ...recorded,
+        embeddingProvider: this.embedder.id,
+        embeddingDimension: dimension
+      };
+      await this.store.setMetadata(metadata);
+    }
+  }
+
+  /**
+   * Поиск релевантных чанков
    * @param {string} query - Поисковый запрос
    * @param {Object} options - Опции поиска
-   * @returns {Object}
+   * @param {string} [options.mode] - vector | keyword | hybrid (по умолчанию searchMode)
+   * @param {boolean} [options.fields=false] - Искать и по полям: найденные поля
+   *   группируются в results[].fields под своим chunk
+   * @param {number} [options.fieldTopK] - Сколько полей искать (по умолчанию max(topK, 5))
+   * @param {Object} [options.filters] - Теги (all/any), раздел, тип поля, requiredOnly,
+   *   категория (см. search-filters.js)
+   * @returns {Object} results с оценками каждого сигнала в scores
    */
   async searchChunks(query, options = {}) {
     const {
       topK = 3,
       templateId = null,
-      tags = null
+      tags = null,
+      filters = {},
+      mode = this.searchMode,
+      fields = false,
+      fieldTopK = Math.max(topK, 5),
+      expandLinks = false // добавить чанки, от полей которых зависят найденные
     } = options;
 
-    console.log(`🔍 Searching for: "${query}"`);
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`Unknown search mode: ${mode} (use ${SEARCH_MODES.join(', ')})`);
+    }
 
-    if (!this.collection) {
+    console.log(`🔍 Searching for: "${query}" (${mode})`);
+
+    if (!this.initialized) {
       await this.initialize();
     }
 
-    // Создаём embedding для запроса
-    const queryEmbedding = await this.getEmbedding(query);
-
     // Фильтры
-    const where = {};
-    if (templateId) where.templateId = templateId;
-    if (tags) where.tags = { $contains: tags };
-
-    // Поиск
-    const results = await this.collection.query({
-      queryEmbeddings: [queryEmbedding],
-      nResults: topK,
-      where: Object.keys(where).length > 0 ? where : undefined
-    });
+    const filter = buildWhere({ templateId, tags, filters });
+
+    let queryEmbedding = null;
+    if (mode !== 'keyword') {
+      queryEmbedding = await this.getEmbedding(query);
+      await this.checkEmbeddingSpace(queryEmbedding.length, { record: false });
+    }
+
+    const search = async (store, index, limit, toResult) => {
+      // Для слияния каждый сигнал даёт больше кандидатов, чем limit
+      const candidates = mode === 'hybrid' ? Math.max(limit * 4, 20) : limit;
+      const vectorHits = queryEmbedding ? await this.vectorSearch(queryEmbedding, candidates, filter, store) : [];
+      const keywordHits = mode === 'vector' ? [] : await this.keywordSearch(query, candidates, filter, store, index);
+      return this.fuseResults(vectorHits, keywordHits, mode, toResult).slice(0, limit);
+    };
+
+    let found = await search(this.store, this.keywordIndex, topK, record => this.recordToResult(record));
+
+    if (fields) {
+      const fieldHits = await search(
+        this.fieldStore, this.fieldKeywordIndex, fieldTopK, record => this.fieldRecordToResult(record)
+      );
+      found = await this.groupFieldHits(found, fieldHits);
+    }
 
-    console.log(`   Found ${results.ids[0].length} results`);
+    console.log(`   Found ${found.length} results`);
 
     return {
       query,
-      results: results.ids[0].map((id, index) => ({
-        id,
-        chunkId: results.metadatas[0][index].chunkId,
-        title: results.metadatas[0][index].title,
-        distance: results.distances[0][index],
-        relevance: this.distanceToRelevance(results.distances[0][index]),
-        content: results.documents[0][index]
-      }))
+      mode,
+      results: expandLinks ? [...found, ...await this.getLinkedChunks(found)] : found
+    };
+  }
+
+  /**
+   * Векторный поиск
+   * @param {Array<number>} queryEmbedding
+   * @param {number} topK
+   * @param {Object|null} where
+   * @param {Object} [store] - Хранилище чанков или полей
+   * @returns {Promise<Array<{id, metadata, document, distance}>>}
+   */
+  async vectorSearch(queryEmbedding, topK, where, store = this.store) {
+    if (await store.count() === 0) return [];
+
+    return store.query(queryEmbedding, { topK, where });
+  }
+
+  /**
+   * Keyword-поиск (BM25)
+   * @param {string} query
+   * @param {number} topK
+   * @param {Object|null} where
+   * @param {Object} [store] - Хранилище, из которого строится индекс
+   * @param {KeywordIndex} [index]
+   * @returns {Promise<Array<{id, metadata, document, score}>>}
+   */
+  async keywordSearch(query, topK, where, store = this.store, index = this.keywordIndex) {
+    // Хранилище могли наполнить из другого процесса (generate-embeddings.js load)
+    if (await store.count() !== index.size) {
+      await this.rebuildKeywordIndex(store, index);
+    }
+
+    return index.search(query, { topK, where });
+  }
+
+  /**
+   * Группировка найденных полей под их чанками. Чанки полей, которых нет
+   * среди найденных, добавляются в конец (по лучшему полю) с matchedBy: 'field'.
+   * @param {Array} results - Результаты поиска по чанкам
+   * @param {Array} fieldHits - Результаты поиска по полям, лучшие первыми
+   * @returns {Promise<Array>}
+   */
+  async groupFieldHits(results, fieldHits) {
+    const byChunk = new Map();
+    for (const hit of fieldHits) {
+      const chunkId = `${hit.templateId}:${hit.chunkId}`;
+      if (!byChunk.has(chunkId)) byChunk.set(chunkId, []);
+      byChunk.get(chunkId).push(hit);
+    }
+
+    const grouped = results.map(result => ({ ...result, fields: byChunk.get(result.id) || [] }));
+
+    const missing = [...byChunk.keys()].filter(id => !results.some(result => result.id === id));
+    if (missing.length > 0) {
+      const parents = new Map((await this.store.get({ ids: missing })).map(record => [record.id, record]));
+      for (const id of missing) {
+        if (!parents.has(id)) continue;
+        grouped.push({
+          ...this.recordToResult(parents.get(id)),
+          distance: null,
+          relevance: null,
+          scores: null,
+          matchedBy: 'field',
+          fields: byChunk.get(id)
+        });
+      }
+    }
+
+    return grouped;
+  }
+
+  /**
+   * Слияние векторных и keyword результатов через reciprocal rank fusion:
+   * fused = Σ 1 / (rrfK + rank). relevance - векторная релевантность, а для
+   * найденных только по словам - BM25, нормированный на лучший результат.
+   * @param {Array} vectorHits - По возрастанию distance
+   * @param {Array} keywordHits - По убыванию score
+   * @param {string} mode
+   * @param {Function} [toResult] - Запись хранилища → результат (чанки или поля)
+   * @returns {Array} Результаты с scores { vector, keyword, fused }
+   */
+  fuseResults(vectorHits, keywordHits, mode, toResult = record => this.recordToResult(record)) {
+    const results = new Map();
+    const entry = record => {
+      if (!results.has(record.id)) {
+        results.set(record.id, {
+          ...toResult(record),
+          distance: null,
+          relevance: null,
+          scores: { vector: null, keyword: null, fused: mode === 'hybrid' ? 0 : null }
+        });
+      }
+      return results.get(record.id);
+    };
+
+    vectorHits.forEach((hit, rank) => {
+      const result = entry(hit);
+      result.distance = hit.distance;
+      result.relevance = this.distanceToRelevance(hit.distance);
+      result.scores.vector = result.relevance;
+      if (mode === 'hybrid') result.scores.fused += 1 / (this.rrfK + rank + 1);
+    });
+
+    const topScore = keywordHits[0]?.score;
+    keywordHits.forEach((hit, rank) => {
+      const result = entry(hit);
+      result.scores.keyword = hit.score;
+      result.relevance ??= hit.score / topScore;
+      if (mode === 'hybrid') result.scores.fused += 1 / (this.rrfK + rank + 1);
+    });
+
+    const sorted = [...results.values()];
+    if (mode === 'hybrid') {
+      sorted.sort((a, b) => b.scores.fused - a.scores.fused || b.relevance - a.relevance);
+    }
+    return sorted;
+  }
+
+  /**
+   * Результат поиска из записи хранилища
+   * @param {Object} record - { id, metadata, document }
+   * @returns {Object}
+   */
+  recordToResult({ id, metadata, document }) {
+    return {
+      id,
+      chunkId: metadata.chunkId,
+      title: metadata.title,
+      path: metadata.path,
+      pointer: metadata.pointer,
+      startLine: metadata.startLine,
+      endLine: metadata.endLine,
+      content: document,
+      linkedChunks: this.parseList(metadata.linkedChunks),
+      fieldRefs: this.parseFieldRefs(metadata)
+    };
+  }
+
+  /**
+   * Поля chunk для ссылок. Индексы, построенные до появления fieldDefinitions,
+   * дают только ID полей.
+   * @param {Object} metadata - Метаданные chunk
+   * @returns {Array<{id, label, path, pointer}>}
+   */
+  parseFieldRefs(metadata) {
+    if (metadata.fieldDefinitions) {
+      return JSON.parse(metadata.fieldDefinitions)
+        .map(({ id, label, path, pointer }) => ({ id, label, path, pointer }));
+    }
+    return this.parseList(metadata.fieldIds).map(id => ({ id }));
+  }
+
+  /**
+   * Определения всех полей проиндексированного шаблона в порядке шаблона
+   * (из метаданных чанков, без загрузки самого шаблона)
+   * @param {string} templateId
+   * @returns {Promise<Array<Object>>} Поля с path и pointer; пусто, если шаблон
+   *   не проиндексирован или индекс построен до появления fieldDefinitions
+   */
+  async getTemplateFields(templateId) {
+    return (await this.loadIndexedTemplate(templateId)).fields;
+  }
+
+  /**
+   * Поля и тексты чанков проиндексированного шаблона
+   * @param {string} templateId
+   * @returns {Promise<{fields: Array<Object>, documents: Map<string, string>}>}
+   *   Поля с chunkId в порядке шаблона, тексты чанков по chunkId
+   */
+  async loadIndexedTemplate(templateId) {
+    const records = await this.store.get({ where: { templateId } });
+    const fields = new Map();
+    const documents = new Map();
+
+    records
+      .sort((a, b) => (a.metadata.startLine || 0) - (b.metadata.startLine || 0))
+      .forEach(({ metadata, document }) => {
+        documents.set(metadata.chunkId, document);
+        for (const field of metadata.fieldDefinitions ? JSON.parse(metadata.fieldDefinitions) : []) {
+          if (!fields.has(field.id)) fields.set(field.id, { ...field, chunkId: metadata.chunkId });
+        }
+      });
+
+    return { fields: [...fields.values()], documents };
+  }
+
+  /**
+   * Результат поиска по полям из записи хранилища полей
+   * @param {Object} record - { id, metadata, document }
+   * @returns {Object}
+   */
+  fieldRecordToResult({ id, metadata, document }) {
+    return {
+      id,
+      templateId: metadata.templateId,
+      fieldId: metadata.fieldId,
+      chunkId: metadata.chunkId,
+      label: metadata.label,
+      type: metadata.type,
+      required: metadata.required,
+      path: metadata.path,
+      pointer: metadata.pointer,
+      startLine: metadata.startLine,
+      endLine: metadata.endLine,
+      aiHints: metadata.aiHints ? metadata.aiHints.split('\n') : [],
+      content: document
     };
   }
 
+  /**
+   * Запись keyword-индекса: текст документа плюс ID поля или ID chunk и его полей
+   * (ID полей вроде field-base-url не входят в текст для embeddings)
+   * @param {Object} record - { id, metadata, document }
+   * @returns {Object}
+   */
+  keywordRecord({ id, metadata, document }) {
+    const ids = metadata.fieldId
+      ? [metadata.fieldId]
+      : [metadata.chunkId, ...this.parseList(metadata.fieldIds)];
+
+    return {
+      id,
+      text: [document, ...ids].join('\n'),
+      metadata,
+      document
+    };
+  }
+
+  /**
+   * Перестроение keyword-индекса из документов векторного хранилища
+   * @param {Object} store
+   * @param {KeywordIndex} index
+   */
+  async rebuildKeywordIndex(store, index) {
+    const records = await store.get();
+    index.clear();
+    index.upsert(records.map(record => this.keywordRecord(record)));
+    console.log(`   Keyword index (${store.collectionName}): ${records.length} documents`);
+  }
+
+  /**
+   * Чанки, связанные с найденными через aiDependsOn, которых нет среди результатов
+   * @param {Array} results - Результаты searchChunks
+   * @returns {Array} Результаты с linkedFrom вместо relevance
+   */
+  async getLinkedChunks(results) {
+    const present = new Set(results.map(r => r.id));
+    const linkedFrom = new Map();
+
+    for (const result of results) {
+      const templateId = result.id.slice(0, result.id.lastIndexOf(':'));
+      for (const chunkId of result.linkedChunks) {
+        const id = `${templateId}:${chunkId}`;
+        if (!present.has(id) && !linkedFrom.has(id)) {
+          linkedFrom.set(id, result.chunkId);
+        }
+      }
+    }
+
+    if (linkedFrom.size === 0) return [];
+
+    const linked = await this.store.get({ ids: [...linkedFrom.keys()] });
+    console.log(`   Added ${linked.length} linked chunks`);
+
+    return linked.map(record => ({
+      ...this.recordToResult(record),
+      distance: null,
+      relevance: null,
+      scores: null,
+      linkedFrom: linkedFrom.get(record.id)
+    }));
+  }
+
+  /**
+   * Разбор списка, сохранённого в метаданных через запятую
+   * @param {string} value
+   * @returns {Array<string>}
+   */
+  parseList(value) {
+    return value ? value.split(',') : [];
+  }
+
   /**
    * Ответ на вопрос пользователя (RAG)
    * @param {string} question - Вопрос
-   * @param {Object} context - Контекст (шаблон, формы)
+   * @param {Object} context - Контекст: templateId, templateName, currentSection,
+   *   formData (значения формы - для фактов о заполнении)
+   * @param {Object} [options]
+   * @param {Object} [options.conversation] - Сессия разговора (ConversationStore)
    * @returns {Object}
    */
-  async answerQuestion(question, context = {}) {
+  async answerQuestion(question, context = {}, options = {}) {
     console.log(`💬 Answering question: "${question}"`);
 
+    const { results, formState, systemPrompt, messages } = await this.prepareAnswer(
+      question, context, options.conversation
+    );
+
+    // Получаем ответ от Claude
+    const response = await this.anthropic.messages.create({
+      model: this.model,
+      max_tokens: 1024,
+      system: systemPrompt,
+      messages
+    });
+
+    const answer = response.content[0].text;
+    const sources = this.answerSources(results);
+
+    console.log(`   ✅ Answer generated (${answer.length} chars)`);
+
+    return {
+      question,
+      answer,
+      sources,
+      citations: parseCitations(answer, sources),
+      formState,
+      confidence: this.calculateConfidence(results.filter(r => !r.linkedFrom)),
+      usage: response.usage
+    };
+  }
+
+  /**
+   * Потоковый ответ на вопрос: источники известны до генерации и отдаются
+   * сразу, затем текст ответа приходит по мере генерации
+   * @param {string} question - Вопрос
+   * @param {Object} context - Контекст (шаблон, формы)
+   * @param {Object} options
+   * @param {Function} [options.onFormState] - (formState) до начала генерации,
+   *   если в context есть formData
+   * @param {Function} [options.onSources] - (sources) до начала генерации
+   * @param {Function} [options.onToken] - (text) для каждого фрагмента ответа
+   * @param {AbortSignal} [options.signal] - Отмена генерации
+   * @param {Object} [options.conversation] - Сессия разговора (ConversationStore)
+   * @returns {Promise<Object>} Как answerQuestion
+   */
+  async streamAnswer(question, context = {}, options = {}) {
+    const { onFormState, onSources, onToken, signal, conversation } = options;
+    console.log(`💬 Streaming answer: "${question}"`);
+
+    const { results, formState, systemPrompt, messages } = await this.prepareAnswer(question, context, conversation);
+    const sources = this.answerSources(results);
+    if (onFormState && formState) onFormState(formState);
+    if (onSources) onSources(sources);
+
+    const stream = this.anthropic.messages.stream({
+      model: this.model,
+      max_tokens: 1024,
+      system: systemPrompt,
+      messages
+    }, { signal });
+
+    if (onToken) {
+      stream.on('text', delta => onToken(delta));
+    }
+
+    const response = await stream.finalMessage();
+    const answer = response.content.map(block => block.text || '').join('');
+
+    console.log(`   ✅ Answer streamed (${answer.length} chars)`);
+
+    return {
+      question,
+      answer,
+      sources,
+      citations: parseCitations(answer, sources),
+      formState,
+      confidence: this.calculateConfidence(results.filter(r => !r.linkedFrom)),
+      usage: response.usage
+    };
+  }
+
+  /**
+   * Поиск контекста и промпты для ответа на вопрос
+   * @param {string} question
+   * @param {Object} context - Контекст (шаблон, формы)
+   * @param {Object} [conversation] - Сессия: история идёт в messages, краткое
+   *   содержание - в system prompt
+   * @returns {Promise<{results, formState, systemPrompt, messages}>}
+   */
+  async prepareAnswer(question, context = {}, conversation = null) {
     // 1. Находим релевантные чанки
-    const searchResults = await this.searchChunks(question, {
-      topK: 3,
-      templateId: context.templateId
+    const query = this.conversationQuery(question, conversation);
+    const searchResults = await this.searchChunks(query, {
+      topK: this.reranker ? this.rerankCandidates : 3,
+      templateId: context.templateId,
+      expandLinks: true
     });
+    const results = this.reranker
+      ? await this.rerankResults(query, searchResults.results)
+      : searchResults.results;
 
-    // 2. Собираем контекст из чанков
-    const chunksContext = searchResults.results
-      .map(r => `### ${r.title}\n${r.content}`)
+    // 2. Собираем контекст из чанков: источники пронумерованы для ссылок
+    const chunksContext = results
+      .map((r, i) => sourceContext(r, i + 1))
       .join('\n\n---\n\n');
 
+    // Состояние формы считается кодом по полям шаблона и formData
+    const formState = await this.getFormState(context);
+
     // 3. Формируем промпт для Claude
     const systemPrompt = `Ты - AI-помощник для системы "Динамический Планировщик".
 Твоя задача - помогать пользователям работать с большими шаблонами и формами.
@@ -260,9 +1140,15 @@ class RAGEngine {
 Правила:
 - Отвечай чётко и конкретно на русском языке
 - Если ответ касается заполнения полей, укажи точные инструкции
-- Ссылайся на конкретные разделы документации
+- На вопросы о прогрессе (что не заполнено, какие поля обязательные, где
+  ошибки) отвечай по блоку "Состояние формы" - он посчитан по данным формы
+- Ссылайся на источники из контекста: после утверждения ставь [N] (раздел)
+  или [N:id-поля] (конкретное поле), используя только номера и ID из контекста
 - Если не знаешь ответа - скажи об этом честно
-- Используй эмодзи для лучшего восприятия`;
+- Используй эмодзи для лучшего восприятия${conversation?.summary ? `
+
+Краткое содержание начала разговора:
+${conversation.summary}` : ''}`;
 
     const userPrompt = `Контекст из документации:
 
@@ -275,36 +1161,206 @@ ${context.templateName ? `Информация о текущем шаблоне:
 
 ${context.currentSection ? `Текущий раздел: ${context.currentSection}` : ''}
 
+${formState ? `Состояние формы (точные данные):
+${formatFormState(formState)}
+` : ''}
 Вопрос пользователя: ${question}
 
 Дай полезный ответ:`;
 
-    // 4. Получаем ответ от Claude
+    const messages = [
+      ...this.historyMessages(conversation),
+      { role: 'user', content: userPrompt }
+    ];
+
+    return { results, formState, systemPrompt, messages };
+  }
+
+  /**
+   * Состояние формы для вопроса: заполненность, пустые обязательные поля,
+   * ошибки проверки и поля, готовые к автозаполнению
+   * @param {Object} context - { templateId, formData }
+   * @returns {Promise<Object|null>} null - нет formData или полей шаблона в индексе
+   */
+  async getFormState(context) {
+    if (!context.templateId || !context.formData) return null;
+
+    const fields = await this.getTemplateFields(context.templateId);
+    if (fields.length === 0) return null;
+
+    return analyzeFormState(fields, context.formData);
+  }
+
+  /**
+   * Поисковый запрос с учётом разговора. Уточняющий вопрос вроде
+   * "а для второго endpoint?" сам по себе почти ничего не находит,
+   * поэтому к нему добавляются два предыдущих вопроса пользователя.
+   * @param {string} question
+   * @param {Object} [conversation]
+   * @returns {string}
+   */
+  conversationQuery(question, conversation) {
+    if (!conversation) return question;
+
+    const previous = conversation.messages
+      .filter(message => message.role === 'user')
+      .slice(-2)
+      .map(message => message.content);
+
+    return [...previous, question].join('\n');
+  }
+
+  /**
+   * Сообщения истории для Claude: ещё не свёрнутые в краткое содержание,
+   * с конца, пока помещаются в historyTokenBudget
+   * @param {Object} [conversation]
+   * @returns {Array<{role, content}>} Начинается с сообщения пользователя
+   */
+  historyMessages(conversation) {
+    if (!conversation) return [];
+
+    const pending = conversation.messages.slice(conversation.summarizedCount || 0);
+    const history = [];
+    let used = 0;
+
+    for (let i = pending.length - 1; i >= 0; i--) {
+      const tokens = estimateTokens(pending[i].content);
+      if (used + tokens > this.historyTokenBudget) break;
+      history.unshift({ role: pending[i].role, content: pending[i].content });
+      used += tokens;
+    }
+
+    // Claude ожидает, что диалог начинается с реплики пользователя
+    while (history.length > 0 && history[0].role !== 'user') {
+      history.shift();
+    }
+
+    return history;
+  }
+
+  /**
+   * Сворачивание длинной истории: когда несвёрнутые сообщения не помещаются
+   * в historyTokenBudget, самые старые из них (целыми парами вопрос-ответ)
+   * пересказываются Claude в conversation.summary, пока остаток не займёт
+   * половину бюджета. Если пересказ не удался, старые сообщения просто
+   * выпадают из промпта. Сессия изменяется на месте.
+   * @param {Object} conversation
+   * @returns {Promise<boolean>} true - история была свёрнута
+   */
+  async compactConversation(conversation) {
+    const start = conversation.summarizedCount || 0;
+    const pending = conversation.messages.slice(start);
+    const tokens = pending.map(message => estimateTokens(message.content));
+    let remaining = tokens.reduce((sum, value) => sum + value, 0);
+
+    if (remaining <= this.historyTokenBudget) return false;
+
+    let count = 0;
+    while (count < pending.length &&
+        (remaining > this.historyTokenBudget / 2 || pending[count].role !== 'user')) {
+      remaining -= tokens[count];
+      count++;
+    }
+
+    try {
+      conversation.summary = await this.summarizeConversation(conversation.summary, pending.slice(0, count));
+      console.log(`   📝 Conversation ${conversation.id}: ${count} messages summarized`);
+    } catch (error) {
+      console.warn(`⚠️  Conversation summary failed, truncating history: ${error.message}`);
+    }
+    conversation.summarizedCount = start + count;
+
+    return true;
+  }
+
+  /**
+   * Краткое содержание разговора
+   * @param {string|null} summary - Прежнее краткое содержание
+   * @param {Array<{role, content}>} messages - Сообщения, которые нужно добавить
+   * @returns {Promise<string>}
+   */
+  async summarizeConversation(summary, messages) {
+    const transcript = messages
+      .map(message => `${message.role === 'user' ? 'Пользователь' : 'Помощник'}: ${message.content}`)
+      .join('\n\n');
+
     const response = await this.anthropic.messages.create({
       model: this.model,
-      max_tokens: 1024,
-      system: systemPrompt,
+      max_tokens: 512,
       messages: [{
         role: 'user',
-        content: userPrompt
+        content: `Сократи разговор пользователя с AI-помощником по шаблонам форм до краткого содержания.
+Сохрани, о каких разделах, полях и значениях шла речь и к каким выводам пришли.
+${summary ? `\nКраткое содержание более ранней части:\n${summary}\n` : ''}
+Разговор:
+${transcript}
+
+Краткое содержание (до 10 предложений):`
       }]
     });
 
-    const answer = response.content[0].text;
+    return response.content[0].text.trim();
+  }
 
-    console.log(`   ✅ Answer generated (${answer.length} chars)`);
+  /**
+   * Источники ответа для клиента; index - номер источника в маркерах [N]
+   * @param {Array} results - Результаты, попавшие в контекст
+   * @returns {Array}
+   */
+  answerSources(results) {
+    return results.map((r, i) => ({
+      index: i + 1,
+      chunkId: r.chunkId,
+      title: r.title,
+      path: r.path,
+      pointer: r.pointer,
+      fields: r.fieldRefs || [],
+      relevance: r.relevance,
+      ...(r.rerankScore !== undefined && { rerankScore: r.rerankScore }),
+      ...(r.linkedFrom && { linkedFrom: r.linkedFrom })
+    }));
+  }
 
-    return {
-      question,
-      answer,
-      sources: searchResults.results.map(r => ({
-        chunkId: r.chunkId,
-        title: r.title,
-        relevance: r.relevance
-      })),
-      confidence: this.calculateConfidence(searchResults.results),
-      usage: response.usage
-    };
+  /**
+   * Re-ranking результатов поиска и отбор контекста в бюджет токенов:
+   * scorer оценивает кандидатов, MMR отбрасывает почти дубликаты (части одной
+   * секции), связанные чанки добавляются после выбранных, если остался бюджет.
+   * Ошибка scorer (например, LLM недоступна) не ломает ответ - используются
+   * оценки поиска.
+   * @param {string} query
+   * @param {Array} results - Результаты searchChunks (с linkedFrom для связанных)
+   * @returns {Promise<Array>} Выбранные результаты с rerankScore и tokens
+   */
+  async rerankResults(query, results) {
+    const primary = results.filter(r => !r.linkedFrom);
+    const linked = results.filter(r => r.linkedFrom);
+
+    let scores;
+    try {
+      scores = await this.reranker.score(query, primary);
+    } catch (error) {
+      console.warn(`⚠️  Reranker (${this.reranker.id}) failed: ${error.message}, using search relevance`);
+      scores = primary.map(r => r.relevance ?? 0);
+    }
+
+    const selected = selectContext(primary, {
+      scores,
+      tokenBudget: this.contextTokenBudget,
+      lambda: this.mmrLambda
+    });
+
+    let used = selected.reduce((sum, r) => sum + r.tokens, 0);
+    for (const result of linked) {
+      const tokens = estimateTokens(result.content || '');
+      if (selected.some(r => r.chunkId === result.linkedFrom) && used + tokens <= this.contextTokenBudget) {
+        selected.push({ ...result, tokens });
+        used += tokens;
+      }
+    }
+
+    console.log(`   Reranked (${this.reranker.id}): ${selected.length}/${results.length} chunks, ~${used} tokens`);
+
+    return selected;
   }
 
   /**
@@ -312,21 +1368,138 @@ ${context.currentSection ? `Текущий раздел: ${context.currentSectio
    * @param {Object} field - Поле для заполнения
    * @param {Object} formData - Уже заполненные данные
    * @param {Array} templateChunks - Чанки шаблона
-   * @returns {string}
+   * @returns {Promise<Object>} { value, status, error, attempts } (generateFieldValue)
    */
   async autoFillField(field, formData, templateChunks) {
-    console.log(`✨ Auto-filling field: ${field.label}`);
-
     // Находим chunk, содержащий это поле
     const relevantChunk = templateChunks.find(chunk =>
       chunk.content.sections.some(s =>
-        s.fields.some(f => f.id === field.id)
+        collectFields(s).some(f => f.id === field.id)
       )
     );
 
+    // Чанки с полями из aiDependsOn, если они вне relevantChunk
+    const linkedChunks = this.findDependencyChunks(field, templateChunks, relevantChunk);
+
+    return this.generateFieldValue(field, formData, {
+      chunkContext: relevantChunk ? this.chunkToText(relevantChunk) : '',
+      linkedContext: linkedChunks
+        .map(chunk => this.chunkToText(chunk).slice(0, 500))
+        .join('\n\n')
+    });
+  }
+
+  /**
+   * План пакетного автозаполнения проиндексированного шаблона: поля
+   * и тексты чанков берутся из индекса, клиенту не нужно присылать чанки
+   * @param {string} templateId
+   * @param {Object} formData - Текущие значения формы
+   * @param {Object} selection - { fieldIds, section, include, overwrite } (planAutoFill);
+   *   поля сверх autofillBatchLimit пропускаются с причиной limit
+   * @returns {Promise<{order, skipped, fields, documents}>}
+   * @throws {Error} status 404 - шаблон не проиндексирован, 400 - неизвестные
+   *   поля или раздел
+   */
+  async planTemplateAutoFill(templateId, formData = {}, selection = {}) {
+    const { fields, documents } = await this.loadIndexedTemplate(templateId);
+
+    if (fields.length === 0) {
+      throw Object.assign(
+        new Error(`Template ${templateId} is not indexed or its index has no field definitions`),
+        { status: 404 }
+      );
+    }
+
+    if (selection.fieldIds) {
+      const known = new Set(fields.map(field => field.id));
+      const unknown = selection.fieldIds.filter(id => !known.has(id));
+      if (unknown.length > 0) {
+        throw Object.assign(new Error(`Unknown fields: ${unknown.join(', ')}`), { status: 400 });
+      }
+    }
+
+    const plan = planAutoFill(fields, formData, { ...selection, limit: this.autofillBatchLimit });
+    if (selection.section && plan.order.length === 0 && plan.skipped.length === 0) {
+      throw Object.assign(new Error(`No fields to fill in section: ${selection.section}`), { status: 400 });
+    }
+
+    return { ...plan, fields, documents };
+  }
+
+  /**
+   * Пакетное автозаполнение по плану: поля заполняются по порядку плана,
+   * каждое значение, прошедшее проверку, добавляется в formData для следующих.
+   * Ошибка одного поля не останавливает остальные. Статус поля: filled,
+   * invalid (значение не прошло проверку и после повторов) или failed.
+   * @param {Object} plan - Результат planTemplateAutoFill
+   * @param {Object} formData - Текущие значения формы
+   * @param {Object} [options]
+   * @param {Function} [options.onField] - (result) после каждого поля
+   * @param {AbortSignal} [options.signal] - Отмена: оставшиеся поля не заполняются
+   * @returns {Promise<{filled, invalid, failed, skipped, formData}>} formData - с новыми значениями
+   */
+  async autoFillFields(plan, formData = {}, options = {}) {
+    const { onField = () => {}, signal } = options;
+    const chunkIds = new Map(plan.fields.map(field => [field.id, field.chunkId]));
+    const values = { ...formData };
+    const summary = { filled: 0, invalid: 0, failed: 0, skipped: plan.skipped.length };
+
+    console.log(`✨ Auto-filling ${plan.order.length} fields (${plan.skipped.length} skipped)`);
+
+    for (const field of plan.order) {
+      if (signal?.aborted) break;
+
+      const linkedContext = [...new Set((field.aiDependsOn || []).map(id => chunkIds.get(id)))]
+        .filter(chunkId => chunkId && chunkId !== field.chunkId)
+        .map(chunkId => (plan.documents.get(chunkId) || '').slice(0, 500))
+        .join('\n\n');
+
+      const result = { fieldId: field.id, label: field.label, path: field.path };
+      try {
+        const { value, status, error, attempts } = await this.generateFieldValue(field, values, {
+          chunkContext: plan.documents.get(field.chunkId) || '',
+          linkedContext,
+          signal
+        });
+
+        if (status === 'valid') {
+          values[field.id] = value;
+          summary.filled++;
+          onField({ ...result, status: 'filled', value, attempts });
+        } else {
+          summary.invalid++;
+          onField({ ...result, status: 'invalid', value, error, attempts });
+        }
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn(`⚠️  Auto-fill failed for ${field.id}: ${error.message}`);
+        summary.failed++;
+        onField({ ...result, status: 'failed', error: error.message });
+      }
+    }
+
+    return { ...summary, formData: values };
+  }
+
+  /**
+   * Генерация значения поля Claude. Ответ разбирается в значение типа поля
+   * (parseFieldValue); если он не проходит проверку, Claude получает текст
+   * ошибки и отвечает снова - не больше autofillRetries раз.
+   * @param {Object} field - Поле для заполнения
+   * @param {Object} formData - Уже заполненные данные
+   * @param {Object} context
+   * @param {string} [context.chunkContext] - Текст chunk поля
+   * @param {string} [context.linkedContext] - Тексты разделов с полями из aiDependsOn
+   * @param {AbortSignal} [context.signal] - Отмена запроса
+   * @returns {Promise<{value, status, error, attempts}>} value - число, boolean,
+   *   массив или строка; status - valid | invalid (error - последняя ошибка)
+   */
+  async generateFieldValue(field, formData, context = {}) {
+    const { chunkContext = '', linkedContext = '', signal } = context;
+    console.log(`✨ Auto-filling field: ${field.label}`);
+
     // Собираем контекст
     const relatedFieldsData = this.getRelatedFieldsData(field, formData);
-    const chunkContext = relevantChunk ? this.chunkToText(relevantChunk) : '';
 
     const systemPrompt = `Ты - AI-помощник для автозаполнения форм.
 Твоя задача - сгенерировать подходящее значение для поля на основе контекста.
@@ -337,7 +1510,8 @@ ${context.currentSection ? `Текущий раздел: ${context.currentSectio
 - Используй информацию из уже заполненных полей
 - Следуй указанным примерам и инструкциям
 - Для текстовых полей: 1-3 предложения
-- Для списков: выбери наиболее подходящий вариант`;
+- Для списков: выбери наиболее подходящий вариант
+- Соблюдай формат значения, указанный для поля`;
 
     const userPrompt = `Заполни поле в форме:
 
@@ -345,6 +1519,7 @@ ${context.currentSection ? `Текущий раздел: ${context.currentSectio
 **Тип:** ${field.type}
 ${field.description ? `**Описание:** ${field.description}` : ''}
 ${field.aiPrompt ? `**Инструкция:** ${field.aiPrompt}` : ''}
+**Формат значения:** ${this.valueFormat(field)}
 
 ${field.aiExamples && field.aiExamples.length > 0 ? `**Примеры:**
 ${field.aiExamples.map(ex => `- ${ex}`).join('\n')}
@@ -358,24 +1533,118 @@ ${chunkContext ? `**Контекст раздела:**
 ${chunkContext.slice(0, 1000)}...
 ` : ''}
 
+${linkedContext ? `**Разделы с полями, от которых зависит это поле:**
+${linkedContext}
+` : ''}
+
 Сгенерируй значение:`;
 
-    const response = await this.anthropic.messages.create({
-      model: this.model,
-      max_tokens: 500,
-      temperature: 0.3,
-      system: systemPrompt,
-      messages: [{
-        role: 'user',
-        content: userPrompt
-      }]
-    });
+    const messages = [{
+      role: 'user',
+      content: userPrompt
+    }];
+
+    let parsed;
+    let attempts = 0;
+    for (;;) {
+      attempts++;
+      const response = await this.anthropic.messages.create({
+        model: this.model,
+        max_tokens: 500,
+        temperature: 0.3,
+        system: systemPrompt,
+        messages
+      }, { signal });
+
+      const text = response.content[0].text.trim();
+      parsed = parseFieldValue(field, text);
+      if (!parsed.error || attempts > this.autofillRetries) break;
+
+      console.log(`   🔁 Invalid value (${parsed.error}), retrying`);
+      messages.push(
+        { role: 'assistant', content: text || '(пусто)' },
+        {
+          role: 'user',
+          content: `Значение не подходит: ${parsed.error}. Формат значения: ${this.valueFormat(field)}. Верни ТОЛЬКО исправленное значение.`
+        }
+      );
+    }
+
+    if (parsed.error) {
+      console.warn(`   ⚠️  Invalid value after ${attempts} attempts: ${parsed.error}`);
+      return { value: parsed.value, status: 'invalid', error: parsed.error, attempts };
+    }
 
-    const value = response.content[0].text.trim();
+    console.log(`   ✅ Generated value: "${String(parsed.value).slice(0, 50)}..."`);
+    return { value: parsed.value, status: 'valid', error: null, attempts };
+  }
 
-    console.log(`   ✅ Generated value: "${value.slice(0, 50)}..."`);
+  /**
+   * Описание формата значения поля для промпта: тип, варианты,
+   * ограничения validation и aiValidation.pattern
+   * @param {Object} field
+   * @returns {string}
+   */
+  valueFormat(field) {
+    const options = (field.options || [])
+      .map(option => (option.label && option.label !== option.value ? `${option.value} (${option.label})` : option.value))
+      .join(', ');
+    const rules = [];
+
+    switch (field.type) {
+      case 'number':
+        rules.push('только число, без единиц измерения');
+        if (field.validation?.min !== undefined) rules.push(`не меньше ${field.validation.min}`);
+        if (field.validation?.max !== undefined) rules.push(`не больше ${field.validation.max}`);
+        break;
+      case 'checkbox':
+        rules.push('только "да" или "нет"');
+        break;
+      case 'select':
+      case 'radio':
+        rules.push(`один вариант из списка: ${options}`);
+        break;
+      case 'multiselect':
+        rules.push(`варианты из списка через запятую: ${options}`);
+        break;
+      case 'date':
+        rules.push('дата в формате ГГГГ-ММ-ДД');
+        break;
+      case 'email':
+        rules.push('email адрес');
+        break;
+      case 'url':
+        rules.push('URL, начинающийся с http:// или https://');
+        break;
+      default:
+        rules.push('текст');
+        if (field.validation?.minLength !== undefined) rules.push(`не короче ${field.validation.minLength} символов`);
+        if (field.validation?.maxLength !== undefined) rules.push(`не длиннее ${field.validation.maxLength} символов`);
+    }
 
-    return value;
+    if (field.aiValidation?.pattern) {
+      rules.push(`соответствует регулярному выражению ${field.aiValidation.pattern}`);
+    }
+
+    return rules.join('; ');
+  }
+
+  /**
+   * Чанки, содержащие поля из field.aiDependsOn (кроме уже выбранного chunk)
+   * @param {Object} field
+   * @param {Array} templateChunks
+   * @param {Object} [exclude] - Chunk самого поля
+   * @returns {Array}
+   */
+  findDependencyChunks(field, templateChunks, exclude = null) {
+    if (!field.aiDependsOn || field.aiDependsOn.length === 0) return [];
+
+    return templateChunks.filter(chunk =>
+      chunk !== exclude &&
+      chunk.content.sections.some(s =>
+        collectFields(s).some(f => field.aiDependsOn.includes(f.id))
+      )
+    );
   }
 
   /**
@@ -389,7 +1658,8 @@ ${chunkContext.slice(0, 1000)}...
 
     const related = {};
     for (const fieldId of field.aiDependsOn) {
-      if (formData[fieldId]) {
+      // false у checkbox и 0 у number - тоже ответ
+      if (hasValue(formData[fieldId])) {
         related[fieldId] = formData[fieldId];
       }
     }
@@ -408,14 +1678,19 @@ ${chunkContext.slice(0, 1000)}...
   }
 
   /**
-   * Расчёт уверенности на основе релевантности результатов
+   * Расчёт уверенности на основе релевантности результатов. У чанков,
+   * найденных только по полям (relevance: null), берётся лучшая релевантность
+   * их полей; результаты без числовой релевантности не учитываются
    * @param {Array} results
    * @returns {number}
    */
   calculateConfidence(results) {
-    if (!results || results.length === 0) return 0;
+    const scores = (results || [])
+      .map(r => r.relevance ?? Math.max(...(r.fields || []).map(field => field.relevance).filter(Number.isFinite)))
+      .filter(Number.isFinite);
+    if (scores.length === 0) return 0;
 
-    const avgRelevance = results.reduce((sum, r) => sum + r.relevance, 0) / results.length;
+    const avgRelevance = scores.reduce((sum, score) => sum + score, 0) / scores.length;
     return avgRelevance;
   }
 
@@ -426,22 +1701,21 @@ ${chunkContext.slice(0, 1000)}...
   async deleteTemplateIndex(templateId) {
     console.log(`🗑️ Deleting index for template: ${templateId}`);
 
-    if (!this.collection) {
+    if (!this.initialized) {
       await this.initialize();
     }
 
-    const results = await this.collection.get({
-      where: { templateId }
-    });
+    const deleted = await this.store.delete({ where: { templateId } });
+    const fields = await this.fieldStore.delete({ where: { templateId } });
+    this.keywordIndex.removeWhere({ templateId });
+    this.fieldKeywordIndex.removeWhere({ templateId });
+    await this.flushIndex();
 
-    if (results.ids.length > 0) {
-      await this.collection.delete({
-        ids: results.ids
-      });
-      console.log(`   ✅ Deleted ${results.ids.length} chunks`);
+    if (deleted > 0 || fields > 0) {
+      console.log(`   ✅ Deleted ${deleted} chunks, ${fields} fields`);
     }
 
-    return { deleted: results.ids.length };
+    return { deleted, fields };
   }
 
   /**
@@ -454,3 +1728,4 @@ ${chunkContext.slice(0, 1000)}...
 }
 
 module.exports = RAGEngine;
+module.exports.SEARCH_MODES = SEARCH_MODES;
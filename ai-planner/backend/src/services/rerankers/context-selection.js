@@ -0,0 +1,78 @@
+/**
+ * Отбор контекста для промпта: maximal marginal relevance в бюджете токенов
+ *
+ * Части одной большой секции и другие почти дубликаты похожи друг на друга,
+ * поэтому MMR штрафует кандидата за сходство с уже выбранными. Сходство -
+ * Jaccard по термам текста (векторы результатов поиска не возвращаются).
+ */
+
+const { tokenize } = require('../keyword-index');
+const { estimateTokens } = require('../../utils/tokens');
+
+/**
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+function jaccard(a, b) {
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) shared++;
+  }
+  const union = a.size + b.size - shared;
+  return union > 0 ? shared / union : 0;
+}
+
+/**
+ * Выбор кандидатов жадным MMR, пока они помещаются в бюджет.
+ * Лучший кандидат берётся всегда, даже если один превышает бюджет.
+ * @param {Array} candidates - Результаты поиска (content обязателен)
+ * @param {Object} options
+ * @param {Array<number>} options.scores - Оценки релевантности 0-1 в порядке candidates
+ * @param {number} options.tokenBudget - Бюджет токенов контекста
+ * @param {number} [options.lambda=0.7] - 1 - только релевантность, 0 - только разнообразие
+ * @param {number} [options.maxItems=Infinity]
+ * @returns {Array} Выбранные кандидаты с rerankScore и tokens, в порядке выбора
+ */
+function selectContext(candidates, options) {
+  const { scores, tokenBudget, lambda = 0.7, maxItems = Infinity } = options;
+
+  let remaining = candidates.map((candidate, index) => ({
+    candidate,
+    score: scores[index],
+    terms: new Set(tokenize(candidate.content || '')),
+    tokens: estimateTokens(candidate.content || '')
+  }));
+  const selected = [];
+  let used = 0;
+
+  while (remaining.length > 0 && selected.length < maxItems) {
+    // Кандидаты, которые уже не помещаются, не поместятся и дальше
+    if (selected.length > 0) {
+      remaining = remaining.filter(item => used + item.tokens <= tokenBudget);
+      if (remaining.length === 0) break;
+    }
+
+    let best = null;
+    let bestValue = -Infinity;
+    for (const item of remaining) {
+      const similarity = Math.max(0, ...selected.map(chosen => jaccard(item.terms, chosen.terms)));
+      const value = lambda * item.score - (1 - lambda) * similarity;
+      if (value > bestValue) {
+        best = item;
+        bestValue = value;
+      }
+    }
+
+    selected.push(best);
+    used += best.tokens;
+    remaining = remaining.filter(item => item !== best);
+  }
+
+  return selected.map(item => ({ ...item.candidate, rerankScore: item.score, tokens: item.tokens }));
+}
+
+module.exports = {
+  jaccard,
+  selectContext
+};
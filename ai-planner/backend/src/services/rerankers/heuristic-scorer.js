@@ -0,0 +1,53 @@
+/**
+ * Heuristic Scorer - локальная оценка релевантности без запросов к API
+ *
+ * Смешивает оценку поиска (relevance) с покрытием слов запроса: какая доля
+ * термов запроса (после стемминга) встречается в тексте chunk и в его
+ * заголовке / пути раздела.
+ */
+
+const { tokenize } = require('../keyword-index');
+
+class HeuristicScorer {
+  /**
+   * @param {Object} config
+   * @param {Object} [config.weights] - { relevance, coverage, title }
+   */
+  constructor(config = {}) {
+    this.id = 'heuristic';
+    this.weights = { relevance: 0.5, coverage: 0.35, title: 0.15, ...config.weights };
+  }
+
+  /**
+   * @param {string} query
+   * @param {Array} candidates - Результаты searchChunks
+   * @returns {Promise<Array<number>>} Оценки 0-1 в порядке candidates
+   */
+  async score(query, candidates) {
+    const queryTerms = [...new Set(tokenize(query))];
+
+    return candidates.map(candidate => {
+      const coverage = this.coverage(queryTerms, candidate.content || '');
+      const title = this.coverage(queryTerms, `${candidate.title || ''} ${candidate.path || ''}`);
+
+      return this.weights.relevance * (candidate.relevance ?? 0) +
+        this.weights.coverage * coverage +
+        this.weights.title * title;
+    });
+  }
+
+  /**
+   * Доля термов запроса, встречающихся в тексте
+   * @param {Array<string>} queryTerms
+   * @param {string} text
+   * @returns {number}
+   */
+  coverage(queryTerms, text) {
+    if (queryTerms.length === 0) return 0;
+
+    const terms = new Set(tokenize(text));
+    return queryTerms.filter(term => terms.has(term)).length / queryTerms.length;
+  }
+}
+
+module.exports = HeuristicScorer;
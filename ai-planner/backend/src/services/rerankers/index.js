@@ -0,0 +1,44 @@
+/**
+ * Rerankers - оценка найденных чанков перед отбором контекста
+ *
+ * Scorer - объект с id и async score(query, candidates) → оценки 0-1.
+ * Выбирается конфигурацией (RERANKER):
+ * - heuristic - покрытие слов запроса + оценка поиска, без API (по умолчанию)
+ * - llm - оценки модели Claude (один запрос на вопрос)
+ */
+
+const HeuristicScorer = require('./heuristic-scorer');
+const LLMScorer = require('./llm-scorer');
+const { selectContext } = require('./context-selection');
+
+const SCORERS = {
+  heuristic: HeuristicScorer,
+  llm: LLMScorer
+};
+
+/**
+ * Создание scorer по имени
+ * @param {Object} config
+ * @param {string} [config.type='heuristic'] - heuristic | llm
+ * @param {Object} [config.anthropic] - llm: клиент Anthropic
+ * @param {string} [config.model] - llm: модель
+ * @returns {Object}
+ */
+function createScorer(config = {}) {
+  const { type = 'heuristic', ...options } = config;
+  const Scorer = SCORERS[type];
+
+  if (!Scorer) {
+    throw new Error(`Unknown reranker: ${type} (use ${Object.keys(SCORERS).join(', ')})`);
+  }
+
+  return new Scorer(options);
+}
+
+module.exports = {
+  SCORERS,
+  HeuristicScorer,
+  LLMScorer,
+  createScorer,
+  selectContext
+};
@@ -0,0 +1,70 @@
+/**
+ * LLM Scorer - оценка релевантности фрагментов моделью Claude
+ *
+ * Один запрос на все кандидаты: модель возвращает JSON-массив оценок 0-10.
+ * Точнее эвристики на перефразированных вопросах, но стоит запрос к API.
+ */
+
+class LLMScorer {
+  /**
+   * @param {Object} config
+   * @param {Object} config.anthropic - Клиент Anthropic
+   * @param {string} config.model
+   * @param {number} [config.maxChars=800] - Сколько символов каждого фрагмента показывать модели
+   */
+  constructor(config = {}) {
+    if (!config.anthropic) {
+      throw new Error('LLM scorer requires an Anthropic client');
+    }
+
+    this.anthropic = config.anthropic;
+    this.model = config.model;
+    this.maxChars = config.maxChars || 800;
+    this.id = `llm:${this.model}`;
+  }
+
+  /**
+   * @param {string} query
+   * @param {Array} candidates - Результаты searchChunks
+   * @returns {Promise<Array<number>>} Оценки 0-1 в порядке candidates
+   */
+  async score(query, candidates) {
+    if (candidates.length === 0) return [];
+
+    const fragments = candidates
+      .map((candidate, index) => `[${index}] ${candidate.path || candidate.title}\n${(candidate.content || '').slice(0, this.maxChars)}`)
+      .join('\n\n');
+
+    const response = await this.anthropic.messages.create({
+      model: this.model,
+      max_tokens: 200,
+      temperature: 0,
+      system: 'Ты оцениваешь, насколько фрагменты документации помогают ответить на вопрос. ' +
+        'Отвечай только JSON-массивом целых чисел от 0 до 10 - по одному на фрагмент, в том же порядке.',
+      messages: [{
+        role: 'user',
+        content: `Вопрос: ${query}\n\nФрагменты:\n\n${fragments}\n\nОценки:`
+      }]
+    });
+
+    return this.parseScores(response.content[0].text, candidates.length);
+  }
+
+  /**
+   * @param {string} text - Ответ модели
+   * @param {number} count - Ожидаемое число оценок
+   * @returns {Array<number>}
+   */
+  parseScores(text, count) {
+    const match = text.match(/\[[\s\S]*?\]/);
+    const scores = match ? JSON.parse(match[0]) : null;
+
+    if (!Array.isArray(scores) || scores.length !== count || !scores.every(Number.isFinite)) {
+      throw new Error(`LLM scorer returned invalid scores: ${text.slice(0, 100)}`);
+    }
+
+    return scores.map(score => Math.max(0, Math.min(10, score)) / 10);
+  }
+}
+
+module.exports = LLMScorer;
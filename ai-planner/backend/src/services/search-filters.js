@@ -0,0 +1,150 @@
+/**
+ * Search Filters - фильтры поиска по тегам, разделам, типам полей и категории
+ *
+ * Векторные БД хранят в метаданных только скалярные значения, поэтому списки
+ * (теги, разделы, типы полей) записываются флагами: tag:api = true,
+ * section:Аутентификация = true, fieldType:select = true. Такие условия
+ * ({ 'tag:api': true }, $and, $or) одинаково выполняются в ChromaDB и во
+ * встроенном хранилище. Флаги пишутся и для чанков, и для полей, поэтому один
+ * фильтр подходит для обоих индексов.
+ */
+
+const { PATH_SEPARATOR, childNodes, nodeName } = require('../utils/template-tree');
+
+// Суффикс частей большой секции (как в ChunkingEngine): фильтр по разделу
+// совпадает с исходным именем
+const PART_NAME_SUFFIX = / \(часть \d+\)$/;
+
+/**
+ * Имена узлов (секций, подсекций, групп) без суффикса части
+ * @param {Object} node
+ * @returns {Array<string>}
+ */
+function nodeNames(node) {
+  return [
+    nodeName(node).replace(PART_NAME_SUFFIX, ''),
+    ...childNodes(node).flatMap(child => nodeNames(child.node))
+  ];
+}
+
+/**
+ * Имена разделов из breadcrumb пути
+ * @param {string} path - Например "Аутентификация › OAuth"
+ * @returns {Array<string>}
+ */
+function pathNames(path) {
+  return (path || '').split(PATH_SEPARATOR).map(name => name.replace(PART_NAME_SUFFIX, ''));
+}
+
+/**
+ * Метаданные-флаги для фильтрации
+ * @param {Object} values
+ * @param {Array<string>} [values.tags]
+ * @param {Array<string>} [values.sections] - Имена разделов
+ * @param {Array<string>} [values.fieldTypes]
+ * @param {boolean} [values.hasRequired] - Есть обязательные поля
+ * @param {string} [values.category] - metadata.category шаблона
+ * @returns {Object}
+ */
+function filterMetadata({ tags = [], sections = [], fieldTypes = [], hasRequired = false, category = '' }) {
+  const metadata = { hasRequired, category: category || '' };
+
+  for (const tag of tags) metadata[`tag:${tag}`] = true;
+  for (const section of sections) if (section) metadata[`section:${section}`] = true;
+  for (const type of fieldTypes) if (type) metadata[`fieldType:${type}`] = true;
+
+  return metadata;
+}
+
+/**
+ * @param {*} value - Значение или список
+ * @returns {Array}
+ */
+function toArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Условие "любое из": одно значение - без $or (Chroma требует в $or два условия)
+ * @param {string} prefix
+ * @param {Array<string>} values
+ * @returns {Object}
+ */
+function anyOf(prefix, values) {
+  const clauses = values.map(value => ({ [`${prefix}:${value}`]: true }));
+  return clauses.length === 1 ? clauses[0] : { $or: clauses };
+}
+
+/**
+ * Фильтр where для векторного хранилища и keyword-индекса
+ * @param {Object} options
+ * @param {string} [options.templateId]
+ * @param {string|Array<string>} [options.tags] - Все перечисленные теги (прежний параметр)
+ * @param {Object} [options.filters]
+ * @param {Object} [options.filters.tags] - { all: [...], any: [...] }
+ * @param {string|Array<string>} [options.filters.section] - Раздел (любой из)
+ * @param {string|Array<string>} [options.filters.fieldType] - Тип поля (любой из)
+ * @param {boolean} [options.filters.requiredOnly] - Только с обязательными полями
+ * @param {string|Array<string>} [options.filters.category] - metadata.category шаблона
+ * @returns {Object|null}
+ */
+function buildWhere({ templateId = null, tags = null, filters = {} }) {
+  const clauses = [];
+
+  if (templateId) clauses.push({ templateId });
+
+  for (const tag of [...toArray(tags), ...toArray(filters.tags?.all)]) {
+    clauses.push({ [`tag:${tag}`]: true });
+  }
+
+  const anyTags = toArray(filters.tags?.any);
+  if (anyTags.length > 0) clauses.push(anyOf('tag', anyTags));
+
+  const sections = toArray(filters.section);
+  if (sections.length > 0) clauses.push(anyOf('section', sections));
+
+  const fieldTypes = toArray(filters.fieldType);
+  if (fieldTypes.length > 0) clauses.push(anyOf('fieldType', fieldTypes));
+
+  if (filters.requiredOnly) clauses.push({ hasRequired: true });
+
+  const categories = toArray(filters.category);
+  if (categories.length > 0) {
+    clauses.push({ category: categories.length === 1 ? categories[0] : { $in: categories } });
+  }
+
+  if (clauses.length === 0) return null;
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+/**
+ * Проверка формата filters из запроса
+ * @param {*} filters
+ * @returns {string|null} Текст ошибки или null
+ */
+function validateFilters(filters) {
+  if (filters === undefined || filters === null) return null;
+  if (typeof filters !== 'object' || Array.isArray(filters)) return 'filters must be an object';
+
+  const known = ['tags', 'section', 'fieldType', 'requiredOnly', 'category'];
+  const unknown = Object.keys(filters).filter(key => !known.includes(key));
+  if (unknown.length > 0) return `Unknown filters: ${unknown.join(', ')}`;
+
+  if (filters.tags !== undefined) {
+    if (typeof filters.tags !== 'object' || Array.isArray(filters.tags) ||
+        Object.keys(filters.tags).some(key => !['all', 'any'].includes(key))) {
+      return 'filters.tags must be { all: [...], any: [...] }';
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  buildWhere,
+  filterMetadata,
+  nodeNames,
+  pathNames,
+  validateFilters
+};
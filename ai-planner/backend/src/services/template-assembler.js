@@ -0,0 +1,454 @@
+/**
+ * Template Assembler - сборка шаблона обратно из чанков
+ *
+ * Обратная операция к ChunkingEngine.chunkTemplate: секции собираются
+ * по provenance чанков, части больших секций (splitLargeSection)
+ * склеиваются обратно - поля и группы возвращаются на исходные позиции
+ * по своим JSON pointer'ам.
+ *
+ * applyEdits принимает отредактированные в UI чанки и вносит их в шаблон.
+ * Конфликтующие правки (устаревший chunk, разные значения одного
+ * атрибута в частях секции, дублирующиеся поля) не сливаются молча -
+ * бросается ошибка со списком conflicts ({ code, pointer, message }).
+ */
+
+const { CHILD_KEYS, collectFields, nodeName } = require('../utils/template-tree');
+
+// Метаданные, которые добавляет chunkTemplate
+const CHUNKING_METADATA = ['totalChunks', 'chunkSize', 'chunkBy', 'targetTokensPerChunk', 'chunkedAt'];
+
+// Суффиксы частей большой секции (см. ChunkingEngine.splitLargeSection)
+const PART_ID_SUFFIX = /-part-(\d+)$/;
+const PART_NAME_SUFFIX = / \(часть \d+\)$/;
+
+class TemplateAssembler {
+  /**
+   * Сборка шаблона из результата chunkTemplate
+   * @param {Object} chunkedTemplate - Результат ChunkingEngine.chunkTemplate
+   * @param {Object} options
+   * @param {Array} [options.chunks] - Чанки вместо chunkedTemplate.chunks
+   * @param {Object} [options.base] - Собранный шаблон до правок: атрибуты частей
+   *   секции сравниваются с ним, чтобы отличить правку от старого значения
+   * @returns {Object} Шаблон без chunks/index
+   */
+  assemble(chunkedTemplate, options = {}) {
+    const { chunks = chunkedTemplate.chunks, base = null } = options;
+
+    if (!Array.isArray(chunks)) {
+      throw new Error('Chunked template is required. Required: { chunks: [...] }');
+    }
+
+    const template = { ...chunkedTemplate };
+    delete template.chunks;
+    delete template.index;
+    delete template.changes;
+    const conflicts = [];
+
+    // Исходные pointer'ы полей по всем чанкам
+    const fieldPointers = new Map();
+    for (const chunk of chunks) {
+      for (const field of chunk.provenance?.fields || []) {
+        fieldPointers.set(field.id, field.pointer);
+      }
+    }
+
+    // Секции и части секций по исходной позиции; новые секции - после предыдущей
+    const slots = [];
+    const covered = new Set();
+    let lastIndex = -1;
+    let added = 0;
+
+    for (const chunk of chunks) {
+      const provenance = new Map((chunk.provenance?.sections || []).map(s => [s.id, s]));
+
+      for (const provenanceSection of provenance.values()) {
+        if (chunk.edited) covered.add(this.sectionIndex(provenanceSection.pointer));
+      }
+
+      for (const section of chunk.content.sections) {
+        const source = provenance.get(section.id);
+
+        if (!source) {
+          slots.push({ order: [lastIndex, ++added], parts: [{ section, chunk }] });
+          continue;
+        }
+
+        const sectionIndex = this.sectionIndex(source.pointer);
+        const part = source.id.match(PART_ID_SUFFIX);
+        let slot = slots.find(s => s.pointer === source.pointer);
+
+        if (!slot) {
+          slot = { order: [sectionIndex, 0], pointer: source.pointer, parts: [] };
+          slots.push(slot);
+        } else if (!part || !slot.parts[0].part) {
+          conflicts.push({
+            code: 'duplicate-section',
+            pointer: source.pointer,
+            message: `Section ${source.pointer} appears in more than one chunk (${slot.parts[0].chunk.id}, ${chunk.id})`
+          });
+          continue;
+        }
+
+        slot.parts.push({ section, chunk, part: part ? Number(part[1]) : null });
+        covered.add(sectionIndex);
+        lastIndex = sectionIndex;
+      }
+    }
+
+    // Секции, которых нет ни в одном chunk, - только если их удалили правкой
+    const sectionCount = Math.max(-1, ...slots.filter(s => s.pointer).map(s => s.order[0])) + 1;
+    for (let i = 0; i < sectionCount; i++) {
+      if (!covered.has(i)) {
+        throw new Error(`Chunks do not cover section /sections/${i}`);
+      }
+    }
+
+    slots.sort((a, b) => this.compareOrder(a.order, b.order));
+
+    template.sections = slots.map(slot => {
+      if (!slot.parts[0].part) {
+        return structuredClone(slot.parts[0].section);
+      }
+
+      const parts = slot.parts
+        .sort((a, b) => a.part - b.part)
+        .map(p => this.restorePartRoot(p.section));
+      return this.mergeNodes(parts, slot.pointer, { fieldPointers, base, conflicts });
+    });
+
+    const metadata = Object.fromEntries(
+      Object.entries(template.metadata || {}).filter(([key]) => !CHUNKING_METADATA.includes(key))
+    );
+    if (Object.keys(metadata).length > 0) {
+      template.metadata = metadata;
+    } else {
+      delete template.metadata;
+    }
+
+    if (conflicts.length > 0) {
+      throw this.conflictError(conflicts);
+    }
+
+    return template;
+  }
+
+  /**
+   * Внесение отредактированных чанков в шаблон
+   * @param {Object} chunkedTemplate - Результат chunkTemplate, от которого брались чанки
+   * @param {Array} edits - Отредактированные чанки: { id, contentHash, content: { sections } };
+   *   contentHash (обязателен) - хэш chunk на момент, когда его взяли в работу;
+   *   без него нельзя проверить, что правка сделана не по устаревшей версии
+   * @returns {{template: Object, changes: Object}}
+   */
+  applyEdits(chunkedTemplate, edits) {
+    const base = this.assemble(chunkedTemplate);
+    const chunksById = new Map(chunkedTemplate.chunks.map(c => [c.id, c]));
+    const editsById = new Map();
+    const conflicts = [];
+
+    for (const edit of edits) {
+      const chunk = chunksById.get(edit.id);
+
+      if (!chunk) {
+        conflicts.push({ code: 'unknown-chunk', pointer: '', message: `Chunk ${edit.id} does not exist in the chunked template` });
+      } else if (!Array.isArray(edit.content?.sections)) {
+        conflicts.push({ code: 'invalid-edit', pointer: chunk.pointer, message: `Chunk ${edit.id} edit has no content.sections` });
+      } else if (!edit.contentHash) {
+        conflicts.push({
+          code: 'invalid-edit',
+          pointer: chunk.pointer,
+          message: `Chunk ${edit.id} edit has no contentHash of the version it was edited from`
+        });
+      } else if (edit.contentHash !== chunk.contentHash) {
+        conflicts.push({
+          code: 'stale-chunk',
+          pointer: chunk.pointer,
+          message: `Chunk ${edit.id} was edited from version ${edit.contentHash}, current version is ${chunk.contentHash}`
+        });
+      } else if (editsById.has(edit.id) && !this.isEqual(editsById.get(edit.id).content, edit.content)) {
+        conflicts.push({ code: 'duplicate-edit', pointer: chunk.pointer, message: `Chunk ${edit.id} has more than one different edit` });
+      } else {
+        editsById.set(edit.id, edit);
+      }
+    }
+
+    if (conflicts.length > 0) {
+      throw this.conflictError(conflicts);
+    }
+
+    const chunks = chunkedTemplate.chunks.map(chunk => editsById.has(chunk.id)
+      ? { ...chunk, content: { ...chunk.content, sections: editsById.get(chunk.id).content.sections }, edited: true }
+      : chunk);
+
+    const template = this.assemble(chunkedTemplate, { chunks, base });
+
+    // Поле не может оказаться в шаблоне дважды (например, добавлено в двух чанках)
+    const baseCounts = this.countFieldIds(base);
+    for (const [id, count] of this.countFieldIds(template)) {
+      if (count > (baseCounts.get(id) || 1)) {
+        conflicts.push({ code: 'duplicate-field', pointer: '', message: `Field ${id} appears ${count} times after applying edits` });
+      }
+    }
+
+    if (conflicts.length > 0) {
+      throw this.conflictError(conflicts);
+    }
+
+    return { template, changes: this.diffFields(base, template) };
+  }
+
+  /**
+   * Склейка копий одного узла из разных частей секции
+   * @param {Array<Object>} nodes - Урезанные копии узла (pruneTree) в порядке частей
+   * @param {string} pointer - Исходный JSON pointer узла
+   * @param {Object} context - { fieldPointers, base, conflicts }
+   * @returns {Object}
+   */
+  mergeNodes(nodes, pointer, context) {
+    const merged = this.mergeAttributes(nodes, pointer, context);
+
+    // Поля - на исходные позиции, новые - после предыдущего поля своей части
+    if (nodes.some(node => node.fields)) {
+      const fields = [];
+      for (const node of nodes) {
+        let last = -1;
+        let added = 0;
+        for (const field of node.fields || []) {
+          const index = this.childIndex(context.fieldPointers.get(field.id), `${pointer}/fields`);
+          if (index === null) {
+            fields.push({ order: [last, ++added], value: structuredClone(field) });
+          } else {
+            fields.push({ order: [index, 0], value: structuredClone(field) });
+            last = index;
+          }
+        }
+      }
+      merged.fields = this.sortByOrder(fields);
+    }
+
+    // Группы и подсекции - по pointer'у любого их известного поля
+    for (const key of CHILD_KEYS) {
+      if (!nodes.some(node => node[key])) continue;
+
+      const children = new Map();
+      for (const node of nodes) {
+        let last = -1;
+        let added = 0;
+        node[key]?.forEach((child, position) => {
+          const index = this.locateChild(child, `${pointer}/${key}`, context.fieldPointers);
+          const slotKey = index === null ? `new:${nodes.indexOf(node)}:${position}` : index;
+
+          if (!children.has(slotKey)) {
+            children.set(slotKey, { order: index === null ? [last, ++added] : [index, 0], index, nodes: [] });
+          }
+          children.get(slotKey).nodes.push(child);
+          if (index !== null) last = index;
+        });
+      }
+
+      merged[key] = this.sortByOrder([...children.values()].map(slot => ({
+        order: slot.order,
+        value: slot.index === null
+          ? structuredClone(slot.nodes[0])
+          : this.mergeNodes(slot.nodes, `${pointer}/${key}/${slot.index}`, context)
+      })));
+    }
+
+    return merged;
+  }
+
+  /**
+   * Атрибуты узла (всё, кроме полей и дочерних узлов) из нескольких частей.
+   * Без base части обязаны совпадать; с base побеждает единственное изменённое
+   * значение, а два разных изменения - конфликт.
+   * @param {Array<Object>} nodes
+   * @param {string} pointer
+   * @param {Object} context - { base, conflicts }
+   * @returns {Object}
+   */
+  mergeAttributes(nodes, pointer, context) {
+    const attributes = nodes.map(node => this.nodeAttributes(node));
+    const baseNode = context.base ? this.resolvePointer(context.base, pointer) : null;
+    const baseAttributes = baseNode ? this.nodeAttributes(baseNode) : null;
+    const keys = [...new Set(attributes.flatMap(a => Object.keys(a)))];
+    const merged = {};
+
+    for (const key of keys) {
+      const values = attributes.map(a => a[key]);
+      const candidates = baseAttributes
+        ? values.filter(value => !this.isEqual(value, baseAttributes[key]))
+        : values;
+      const distinct = candidates.filter((value, i) => candidates.findIndex(v => this.isEqual(v, value)) === i);
+
+      if (distinct.length > 1) {
+        context.conflicts.push({
+          code: 'conflicting-edit',
+          pointer,
+          message: `Parts of "${nodeName(nodes[0])}" have different values of "${key}"`
+        });
+      }
+
+      const value = distinct.length > 0 ? distinct[0] : baseAttributes?.[key];
+      if (value !== undefined) {
+        merged[key] = structuredClone(value);
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Исходный индекс дочернего узла по pointer'у любого его известного поля
+   * @param {Object} node
+   * @param {string} arrayPointer - Pointer массива в родителе, например /sections/2/groups
+   * @param {Map<string, string>} fieldPointers
+   * @returns {number|null}
+   */
+  locateChild(node, arrayPointer, fieldPointers) {
+    for (const field of collectFields(node)) {
+      const pointer = fieldPointers.get(field.id);
+      if (pointer && pointer.startsWith(`${arrayPointer}/`)) {
+        return Number(pointer.slice(arrayPointer.length + 1).split('/')[0]);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Индекс элемента, если pointer указывает прямо в arrayPointer
+   * @param {string} [pointer]
+   * @param {string} arrayPointer
+   * @returns {number|null}
+   */
+  childIndex(pointer, arrayPointer) {
+    if (!pointer || !pointer.startsWith(`${arrayPointer}/`)) return null;
+    const rest = pointer.slice(arrayPointer.length + 1);
+    return /^\d+$/.test(rest) ? Number(rest) : null;
+  }
+
+  /**
+   * Часть секции → заголовок исходной секции (id и name без суффикса части)
+   * @param {Object} section
+   * @returns {Object}
+   */
+  restorePartRoot(section) {
+    return {
+      ...section,
+      id: section.id.replace(PART_ID_SUFFIX, ''),
+      ...(section.name && { name: section.name.replace(PART_NAME_SUFFIX, '') })
+    };
+  }
+
+  /**
+   * Атрибуты узла без полей и дочерних узлов
+   * @param {Object} node
+   * @returns {Object}
+   */
+  nodeAttributes(node) {
+    return Object.fromEntries(
+      Object.entries(node).filter(([key]) => key !== 'fields' && !CHILD_KEYS.includes(key))
+    );
+  }
+
+  /**
+   * Значение по JSON pointer (только объекты и массивы шаблона)
+   * @param {Object} root
+   * @param {string} pointer
+   * @returns {*}
+   */
+  resolvePointer(root, pointer) {
+    return pointer.split('/').slice(1).reduce((value, segment) =>
+      value?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+  }
+
+  /**
+   * Индекс секции по pointer'у provenance
+   * @param {string} pointer
+   * @returns {number}
+   */
+  sectionIndex(pointer) {
+    const match = /^\/sections\/(\d+)$/.exec(pointer);
+    if (!match) {
+      throw new Error(`Unexpected section pointer in chunk provenance: ${pointer}`);
+    }
+    return Number(match[1]);
+  }
+
+  /**
+   * Сравнение ключей порядка [исходный индекс, номер добавленного после него]
+   * @param {Array<number>} a
+   * @param {Array<number>} b
+   * @returns {number}
+   */
+  compareOrder(a, b) {
+    return a[0] - b[0] || a[1] - b[1];
+  }
+
+  /**
+   * @param {Array<{order: Array<number>, value: *}>} items
+   * @returns {Array}
+   */
+  sortByOrder(items) {
+    return items.sort((a, b) => this.compareOrder(a.order, b.order)).map(item => item.value);
+  }
+
+  /**
+   * @param {Object} template
+   * @returns {Map<string, number>}
+   */
+  countFieldIds(template) {
+    const counts = new Map();
+    for (const section of template.sections || []) {
+      for (const field of collectFields(section)) {
+        counts.set(field.id, (counts.get(field.id) || 0) + 1);
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Отчёт о правках по полям
+   * @param {Object} before
+   * @param {Object} after
+   * @returns {{added: Array<string>, updated: Array<string>, removed: Array<string>}}
+   */
+  diffFields(before, after) {
+    const fieldsOf = template => new Map(
+      (template.sections || []).flatMap(section => collectFields(section)).map(f => [f.id, f])
+    );
+    const previous = fieldsOf(before);
+    const current = fieldsOf(after);
+
+    return {
+      added: [...current.keys()].filter(id => !previous.has(id)),
+      updated: [...current.keys()].filter(id => previous.has(id) && !this.isEqual(previous.get(id), current.get(id))),
+      removed: [...previous.keys()].filter(id => !current.has(id)),
+      sections: {
+        added: after.sections.filter(s => !before.sections.some(b => b.id === s.id)).map(s => s.id),
+        removed: before.sections.filter(s => !after.sections.some(a => a.id === s.id)).map(s => s.id)
+      }
+    };
+  }
+
+  /**
+   * @param {*} a
+   * @param {*} b
+   * @returns {boolean}
+   */
+  isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Ошибка со списком конфликтов
+   * @param {Array<Object>} conflicts
+   * @returns {Error}
+   */
+  conflictError(conflicts) {
+    const error = new Error(`Conflicting chunk edits: ${conflicts.map(c => c.message).join('; ')}`);
+    error.conflicts = conflicts;
+    return error;
+  }
+}
+
+module.exports = TemplateAssembler;
@@ -0,0 +1,306 @@
+/**
+ * Template Validator - проверка шаблонов
+ *
+ * Два уровня проверки:
+ * 1. Структура по JSON Schema (schemas/template.schema.json)
+ * 2. Смысловые проверки, которые схема выразить не может:
+ *    ссылки aiDependsOn и conditions, циклы зависимостей, регулярные
+ *    выражения aiValidation, варианты select, дубликаты ID
+ *
+ * Каждая ошибка и предупреждение содержит JSON pointer на место в шаблоне.
+ */
+
+const Ajv = require('ajv');
+const schema = require('../schemas/template.schema.json');
+const { childNodes, childPointer, listFields } = require('../utils/template-tree');
+const { toPointer } = require('../utils/json-source-map');
+
+// Типы полей, которым нужны options
+const CHOICE_TYPES = ['select', 'multiselect', 'radio'];
+
+class TemplateValidator {
+  constructor() {
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    this.validateSchema = ajv.compile(schema);
+  }
+
+  /**
+   * Полная проверка шаблона
+   * @param {Object} template
+   * @returns {{valid: boolean, errors: Array, warnings: Array}}
+   */
+  validate(template) {
+    const errors = [];
+    const warnings = [];
+
+    if (!this.validateSchema(template)) {
+      for (const error of this.validateSchema.errors) {
+        errors.push({
+          code: 'schema',
+          pointer: error.instancePath,
+          message: `${error.instancePath || 'template'} ${error.message}`
+        });
+      }
+    }
+
+    // Смысловые проверки имеют смысл только при корректном списке секций
+    if (Array.isArray(template?.sections)) {
+      const fieldEntries = this.collectFieldEntries(template);
+
+      this.checkDuplicateIds(template, fieldEntries, errors);
+      this.checkFields(fieldEntries, errors, warnings);
+      this.checkDependencies(fieldEntries, errors);
+      this.checkKnowledgeBase(template, warnings);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings
+    };
+  }
+
+  /**
+   * Все поля шаблона с их pointer'ами
+   * @param {Object} template
+   * @returns {Array}
+   */
+  collectFieldEntries(template) {
+    return template.sections.flatMap((section, index) =>
+      section && typeof section === 'object'
+        ? listFields(section, toPointer('sections', index))
+        : []
+    ).filter(entry => entry.field && typeof entry.field === 'object');
+  }
+
+  /**
+   * Дубликаты ID полей, секций и групп
+   * @param {Object} template
+   * @param {Array} fieldEntries
+   * @param {Array} errors
+   */
+  checkDuplicateIds(template, fieldEntries, errors) {
+    const fieldPointers = new Map();
+    for (const { field, pointer } of fieldEntries) {
+      if (!field.id) continue;
+      if (fieldPointers.has(field.id)) {
+        errors.push({
+          code: 'duplicate-field-id',
+          pointer: `${pointer}/id`,
+          message: `Duplicate field id "${field.id}" (first defined at ${fieldPointers.get(field.id)})`
+        });
+      } else {
+        fieldPointers.set(field.id, pointer);
+      }
+    }
+
+    const nodePointers = new Map();
+    const visit = (node, pointer) => {
+      if (!node || typeof node !== 'object') return;
+      if (node.id) {
+        if (nodePointers.has(node.id)) {
+          errors.push({
+            code: 'duplicate-section-id',
+            pointer: `${pointer}/id`,
+            message: `Duplicate section/group id "${node.id}" (first defined at ${nodePointers.get(node.id)})`
+          });
+        } else {
+          nodePointers.set(node.id, pointer);
+        }
+      }
+      for (const child of childNodes(node)) {
+        visit(child.node, childPointer(pointer, child));
+      }
+    };
+    template.sections.forEach((section, index) => visit(section, toPointer('sections', index)));
+  }
+
+  /**
+   * Проверки отдельных полей: options, aiValidation, validation, conditions
+   * @param {Array} fieldEntries
+   * @param {Array} errors
+   * @param {Array} warnings
+   */
+  checkFields(fieldEntries, errors, warnings) {
+    const fieldIds = new Set(fieldEntries.map(e => e.field.id));
+
+    for (const { field, pointer } of fieldEntries) {
+      const options = Array.isArray(field.options) ? field.options : null;
+
+      if (CHOICE_TYPES.includes(field.type)) {
+        if (!options || options.length === 0) {
+          errors.push({
+            code: 'missing-options',
+            pointer,
+            message: `Field "${field.id}" of type ${field.type} has no options`
+          });
+        } else {
+          const seen = new Set();
+          options.forEach((option, index) => {
+            const value = option?.value;
+            if (seen.has(value)) {
+              errors.push({
+                code: 'duplicate-option',
+                pointer: `${pointer}/options/${index}`,
+                message: `Field "${field.id}" has duplicate option value "${value}"`
+              });
+            }
+            seen.add(value);
+          });
+        }
+      } else if (options) {
+        warnings.push({
+          code: 'unused-options',
+          pointer: `${pointer}/options`,
+          message: `Field "${field.id}" of type ${field.type} ignores its options`
+        });
+      }
+
+      const pattern = field.aiValidation?.pattern;
+      if (typeof pattern === 'string') {
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          errors.push({
+            code: 'invalid-pattern',
+            pointer: `${pointer}/aiValidation/pattern`,
+            message: `Field "${field.id}" has invalid aiValidation.pattern: ${error.message}`
+          });
+        }
+      }
+
+      const { min, max } = field.validation || {};
+      if (typeof min === 'number' && typeof max === 'number' && min > max) {
+        errors.push({
+          code: 'invalid-range',
+          pointer: `${pointer}/validation`,
+          message: `Field "${field.id}" has validation.min greater than validation.max`
+        });
+      }
+
+      (Array.isArray(field.conditions) ? field.conditions : []).forEach((condition, index) => {
+        if (condition?.fieldId && !fieldIds.has(condition.fieldId)) {
+          errors.push({
+            code: 'unknown-condition-field',
+            pointer: `${pointer}/conditions/${index}/fieldId`,
+            message: `Field "${field.id}" has a condition on unknown field "${condition.fieldId}"`
+          });
+        }
+      });
+
+      if (field.aiAutoFill && !field.aiPrompt) {
+        warnings.push({
+          code: 'autofill-without-prompt',
+          pointer,
+          message: `Field "${field.id}" has aiAutoFill but no aiPrompt`
+        });
+      }
+    }
+  }
+
+  /**
+   * Ссылки aiDependsOn и циклы зависимостей
+   * @param {Array} fieldEntries
+   * @param {Array} errors
+   */
+  checkDependencies(fieldEntries, errors) {
+    const byId = new Map(fieldEntries.map(e => [e.field.id, e]));
+    const graph = new Map();
+
+    for (const { field, pointer } of fieldEntries) {
+      const dependsOn = Array.isArray(field.aiDependsOn) ? field.aiDependsOn : [];
+      const edges = [];
+
+      dependsOn.forEach((dependencyId, index) => {
+        if (dependencyId === field.id) {
+          errors.push({
+            code: 'self-dependency',
+            pointer: `${pointer}/aiDependsOn/${index}`,
+            message: `Field "${field.id}" depends on itself`
+          });
+        } else if (!byId.has(dependencyId)) {
+          errors.push({
+            code: 'unknown-dependency',
+            pointer: `${pointer}/aiDependsOn/${index}`,
+            message: `Field "${field.id}" depends on unknown field "${dependencyId}"`
+          });
+        } else {
+          edges.push(dependencyId);
+        }
+      });
+
+      graph.set(field.id, edges);
+    }
+
+    for (const cycle of this.findCycles(graph)) {
+      errors.push({
+        code: 'dependency-cycle',
+        pointer: `${byId.get(cycle[0]).pointer}/aiDependsOn`,
+        message: `Dependency cycle: ${[...cycle, cycle[0]].join(' → ')}`
+      });
+    }
+  }
+
+  /**
+   * Поиск циклов в графе зависимостей (DFS), каждый цикл - один раз
+   * @param {Map<string, Array<string>>} graph
+   * @returns {Array<Array<string>>}
+   */
+  findCycles(graph) {
+    const state = new Map(); // undefined - не посещён, 1 - в стеке, 2 - готов
+    const stack = [];
+    const cycles = [];
+
+    const visit = (id) => {
+      state.set(id, 1);
+      stack.push(id);
+
+      for (const next of graph.get(id) || []) {
+        if (state.get(next) === 1) {
+          cycles.push(stack.slice(stack.indexOf(next)));
+        } else if (!state.has(next)) {
+          visit(next);
+        }
+      }
+
+      stack.pop();
+      state.set(id, 2);
+    };
+
+    for (const id of graph.keys()) {
+      if (!state.has(id)) visit(id);
+    }
+
+    return cycles;
+  }
+
+  /**
+   * Ссылки FAQ на секции
+   * @param {Object} template
+   * @param {Array} warnings
+   */
+  checkKnowledgeBase(template, warnings) {
+    const sectionIds = new Set();
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (node.id) sectionIds.add(node.id);
+      childNodes(node).forEach(child => visit(child.node));
+    };
+    template.sections.forEach(visit);
+
+    const faqs = template.aiKnowledgeBase?.faqs;
+    (Array.isArray(faqs) ? faqs : []).forEach((faq, i) => {
+      (faq?.relatedSections || []).forEach((sectionId, j) => {
+        if (!sectionIds.has(sectionId)) {
+          warnings.push({
+            code: 'unknown-related-section',
+            pointer: toPointer('aiKnowledgeBase', 'faqs', i, 'relatedSections', j),
+            message: `FAQ "${faq.question}" refers to unknown section "${sectionId}"`
+          });
+        }
+      });
+    });
+  }
+}
+
+module.exports = TemplateValidator;
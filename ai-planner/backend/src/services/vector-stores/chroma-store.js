@@ -0,0 +1,177 @@
+/**
+ * Chroma Vector Store - адаптер ChromaDB (отдельный сервер, CHROMA_URL)
+ *
+ * Переводит интерфейс хранилища на API коллекции ChromaDB. Условия $contains
+ * (списки через запятую в метаданных) Chroma не поддерживает для метаданных,
+ * поэтому они проверяются после запроса: query запрашивает больше
+ * результатов и отбрасывает неподходящие.
+ */
+
+const { ChromaClient } = require('chromadb');
+const { isOperatorObject, matchesWhere, usesContains } = require('./filters');
+
+// Во сколько раз больше кандидатов запрашивать при пост-фильтрации
+const POST_FILTER_OVERFETCH = 10;
+
+class ChromaVectorStore {
+  /**
+   * @param {Object} config
+   * @param {string} [config.url='http://localhost:8000']
+   * @param {string} [config.collectionName='planner-chunks']
+   */
+  constructor(config = {}) {
+    this.name = 'chroma';
+    this.url = config.url || 'http://localhost:8000';
+    this.collectionName = config.collectionName || 'planner-chunks';
+    this.client = new ChromaClient({ path: this.url });
+    this.collection = null;
+  }
+
+  async initialize() {
+    // cosine distance - как ожидает RAGEngine.distanceToRelevance
+    this.collection = await this.client.getOrCreateCollection({
+      name: this.collectionName,
+      metadata: { description: 'Dynamic Planner template chunks', 'hnsw:space': 'cosine' }
+    });
+  }
+
+  getMetadata() {
+    return this.collection.metadata || {};
+  }
+
+  async setMetadata(metadata) {
+    // Параметры индекса hnsw:* после создания коллекции менять нельзя
+    const modifiable = Object.fromEntries(
+      Object.entries(metadata).filter(([key]) => !key.startsWith('hnsw:'))
+    );
+    await this.collection.modify({ metadata: modifiable });
+    this.collection.metadata = { ...this.getMetadata(), ...modifiable };
+  }
+
+  /**
+   * @param {Array<{id, embedding, metadata, document}>} records
+   */
+  async add(records) {
+    await this.collection.add(this.toColumns(records));
+  }
+
+  /**
+   * @param {Array<{id, embedding, metadata, document}>} records
+   */
+  async upsert(records) {
+    await this.collection.upsert(this.toColumns(records));
+  }
+
+  /**
+   * @param {Array<number>} embedding
+   * @param {Object} options - { topK, where }
+   * @returns {Promise<Array<{id, metadata, document, distance}>>}
+   */
+  async query(embedding, options = {}) {
+    const { topK = 3, where = null } = options;
+    const postFilter = usesContains(where);
+
+    const results = await this.collection.query({
+      queryEmbeddings: [embedding],
+      nResults: postFilter ? topK * POST_FILTER_OVERFETCH : topK,
+      where: this.toChromaWhere(where)
+    });
+
+    return results.ids[0]
+      .map((id, index) => ({
+        id,
+        metadata: results.metadatas[0][index],
+        document: results.documents[0][index],
+        distance: results.distances[0][index]
+      }))
+      .filter(record => !postFilter || matchesWhere(record.metadata, where))
+      .slice(0, topK);
+  }
+
+  /**
+   * @param {Object} options - { ids, where }
+   * @returns {Promise<Array<{id, metadata, document}>>}
+   */
+  async get(options = {}) {
+    const { ids, where = null } = options;
+    if (ids && ids.length === 0) return [];
+
+    const results = await this.collection.get({
+      ids,
+      where: this.toChromaWhere(where)
+    });
+
+    return results.ids
+      .map((id, index) => ({
+        id,
+        metadata: results.metadatas[index],
+        document: results.documents[index]
+      }))
+      .filter(record => !usesContains(where) || matchesWhere(record.metadata, where));
+  }
+
+  /**
+   * @param {Object} options - { ids, where }
+   * @returns {Promise<number>} Число удалённых записей
+   */
+  async delete(options = {}) {
+    const records = await this.get(options);
+    if (records.length > 0) {
+      await this.collection.delete({ ids: records.map(record => record.id) });
+    }
+    return records.length;
+  }
+
+  async count() {
+    return this.collection.count();
+  }
+
+  /**
+   * Chroma сохраняет записи сразу
+   */
+  async flush() {}
+
+  /**
+   * @param {Array<{id, embedding, metadata, document}>} records
+   * @returns {Object} { ids, embeddings, metadatas, documents }
+   */
+  toColumns(records) {
+    return {
+      ids: records.map(record => record.id),
+      embeddings: records.map(record => record.embedding),
+      metadatas: records.map(record => record.metadata),
+      documents: records.map(record => record.document)
+    };
+  }
+
+  /**
+   * Фильтр в формате Chroma: несколько ключей - через $and, значения -
+   * через $eq, $contains отбрасывается (проверяется после запроса)
+   * @param {Object} [where]
+   * @returns {Object|undefined}
+   */
+  toChromaWhere(where) {
+    if (!where) return undefined;
+
+    const clauses = [];
+    for (const [key, condition] of Object.entries(where)) {
+      if (key === '$and' || key === '$or') {
+        if (key === '$or' && usesContains({ [key]: condition })) continue;
+        const nested = condition.map(clause => this.toChromaWhere(clause)).filter(Boolean);
+        if (nested.length > 1) clauses.push({ [key]: nested });
+        else if (nested.length === 1) clauses.push(nested[0]);
+      } else if (!isOperatorObject(condition)) {
+        clauses.push({ [key]: { $eq: condition } });
+      } else {
+        for (const [operator, value] of Object.entries(condition)) {
+          if (operator !== '$contains') clauses.push({ [key]: { [operator]: value } });
+        }
+      }
+    }
+
+    if (clauses.length === 0) return undefined;
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+  }
+}
+
+module.exports = ChromaVectorStore;
@@ -0,0 +1,91 @@
+/**
+ * Фильтры по метаданным для векторных хранилищ
+ *
+ * Формат - подмножество where из ChromaDB:
+ * - { key: value } - равенство
+ * - { key: { $eq | $ne | $gt | $gte | $lt | $lte: value } }
+ * - { key: { $in | $nin: [values] } }
+ * - { key: { $contains: value | [values] } } - список (массив или строка
+ *   через запятую, как tags) содержит значение / все значения
+ * - { $and: [where, ...] }, { $or: [where, ...] }
+ */
+
+const COMPARATORS = {
+  $eq: (actual, expected) => actual === expected,
+  $ne: (actual, expected) => actual !== expected,
+  $gt: (actual, expected) => actual > expected,
+  $gte: (actual, expected) => actual >= expected,
+  $lt: (actual, expected) => actual < expected,
+  $lte: (actual, expected) => actual <= expected,
+  $in: (actual, expected) => expected.includes(actual),
+  $nin: (actual, expected) => !expected.includes(actual),
+  $contains: (actual, expected) => {
+    const list = toList(actual);
+    return (Array.isArray(expected) ? expected : [expected]).every(value => list.includes(value));
+  }
+};
+
+/**
+ * Значение метаданных как список
+ * @param {*} value
+ * @returns {Array}
+ */
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value ? value.split(',') : [];
+  return value === undefined || value === null ? [] : [value];
+}
+
+/**
+ * Проверка метаданных записи фильтром
+ * @param {Object} metadata
+ * @param {Object} [where]
+ * @returns {boolean}
+ */
+function matchesWhere(metadata, where) {
+  if (!where) return true;
+
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$and') return condition.every(clause => matchesWhere(metadata, clause));
+    if (key === '$or') return condition.some(clause => matchesWhere(metadata, clause));
+
+    const operators = isOperatorObject(condition) ? condition : { $eq: condition };
+    return Object.entries(operators).every(([operator, expected]) => {
+      const compare = COMPARATORS[operator];
+      if (!compare) {
+        throw new Error(`Unsupported filter operator: ${operator}`);
+      }
+      return compare(metadata?.[key], expected);
+    });
+  });
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).every(key => key.startsWith('$'));
+}
+
+/**
+ * Условие использует $contains (нужна пост-фильтрация там, где его нет)
+ * @param {Object} [where]
+ * @returns {boolean}
+ */
+function usesContains(where) {
+  if (!where) return false;
+
+  return Object.entries(where).some(([key, condition]) => {
+    if (key === '$and' || key === '$or') return condition.some(usesContains);
+    return isOperatorObject(condition) && '$contains' in condition;
+  });
+}
+
+module.exports = {
+  isOperatorObject,
+  matchesWhere,
+  toList,
+  usesContains
+};
@@ -0,0 +1,56 @@
+/**
+ * Vector Stores - хранилища векторов чанков
+ *
+ * Все хранилища реализуют один интерфейс:
+ * - initialize()
+ * - getMetadata() / setMetadata(metadata) - метаданные коллекции
+ * - add(records) / upsert(records) - records: [{ id, embedding, metadata, document }]
+ * - query(embedding, { topK, where }) → [{ id, metadata, document, distance }]
+ * - get({ ids, where }) → [{ id, metadata, document }]
+ * - delete({ ids, where }) → число удалённых записей
+ * - count()
+ * - flush() - дождаться сохранения изменений (встроенное хранилище пишет
+ *   файл отложенно)
+ *
+ * distance - cosine distance (0..2); формат where описан в filters.js.
+ */
+
+const ChromaVectorStore = require('./chroma-store');
+const MemoryVectorStore = require('./memory-store');
+
+const STORES = {
+  chroma: config => new ChromaVectorStore({ url: config.url, collectionName: config.collectionName }),
+  // Встроенное хранилище с сохранением коллекции в файл
+  file: config => new MemoryVectorStore({
+    collectionName: config.collectionName,
+    path: config.path || './data/vectors'
+  }),
+  memory: config => new MemoryVectorStore({ collectionName: config.collectionName })
+};
+
+/**
+ * Создание хранилища по имени
+ * @param {Object} config
+ * @param {string} [config.type='chroma'] - chroma | file | memory
+ * @param {string} [config.url] - chroma: URL сервера
+ * @param {string} [config.path] - file: директория файлов коллекций
+ * @param {string} [config.collectionName]
+ * @returns {ChromaVectorStore|MemoryVectorStore}
+ */
+function createVectorStore(config = {}) {
+  const type = config.type || 'chroma';
+  const create = STORES[type];
+
+  if (!create) {
+    throw new Error(`Unknown vector store: ${type} (use ${Object.keys(STORES).join(', ')})`);
+  }
+
+  return create(config);
+}
+
+module.exports = {
+  STORES,
+  ChromaVectorStore,
+  MemoryVectorStore,
+  createVectorStore
+};
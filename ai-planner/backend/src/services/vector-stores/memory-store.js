@@ -0,0 +1,220 @@
+/**
+ * Memory Vector Store - встроенное хранилище без внешнего сервера
+ *
+ * Векторы хранятся в памяти процесса; с path коллекция сохраняется в
+ * JSON-файл и загружается при старте. Файл пишется целиком, поэтому
+ * изменения за persistDelay мс сохраняются одной записью (индексация
+ * пакетами не переписывает файл на каждый пакет), а flush() записывает
+ * их сразу. Поиск - полный перебор по
+ * cosine distance, этого достаточно для однопользовательской установки,
+ * тестов и CI.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchesWhere } = require('./filters');
+
+class MemoryVectorStore {
+  /**
+   * @param {Object} config
+   * @param {string} [config.collectionName='planner-chunks']
+   * @param {string} [config.path] - Директория для файла коллекции (без неё - только память)
+   * @param {number} [config.persistDelay=1000] - Задержка отложенной записи файла, мс
+   */
+  constructor(config = {}) {
+    this.name = config.path ? 'file' : 'memory';
+    this.collectionName = config.collectionName || 'planner-chunks';
+    this.file = config.path ? path.join(config.path, `${this.collectionName}.json`) : null;
+    this.records = new Map();
+    this.metadata = {};
+    this.persistDelay = config.persistDelay ?? 1000;
+    this.dirty = false;
+    this.timer = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Загрузка коллекции из файла
+   */
+  async initialize() {
+    if (!this.file) return;
+
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+      this.metadata = data.metadata || {};
+      this.records = new Map(data.records.map(record => [record.id, record]));
+      console.log(`   Loaded ${this.records.size} vectors from ${this.file}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  getMetadata() {
+    return this.metadata;
+  }
+
+  async setMetadata(metadata) {
+    this.metadata = metadata;
+    this.persist();
+  }
+
+  /**
+   * @param {Array<{id, embedding, metadata, document}>} records
+   */
+  async add(records) {
+    const existing = records.filter(record => this.records.has(record.id));
+    if (existing.length > 0) {
+      throw new Error(`Records already exist: ${existing.map(r => r.id).join(', ')}`);
+    }
+    await this.upsert(records);
+  }
+
+  /**
+   * @param {Array<{id, embedding, metadata, document}>} records
+   */
+  async upsert(records) {
+    for (const record of records) {
+      this.records.set(record.id, {
+        id: record.id,
+        embedding: record.embedding,
+        metadata: record.metadata || {},
+        document: record.document ?? null
+      });
+    }
+    this.persist();
+  }
+
+  /**
+   * Ближайшие записи по cosine distance
+   * @param {Array<number>} embedding
+   * @param {Object} options - { topK, where }
+   * @returns {Promise<Array<{id, metadata, document, distance}>>}
+   */
+  async query(embedding, options = {}) {
+    const { topK = 3, where = null } = options;
+
+    return [...this.records.values()]
+      .filter(record => matchesWhere(record.metadata, where))
+      .map(record => ({
+        id: record.id,
+        metadata: record.metadata,
+        document: record.document,
+        distance: this.cosineDistance(embedding, record.embedding)
+      }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, topK);
+  }
+
+  /**
+   * @param {Object} options - { ids, where }
+   * @returns {Promise<Array<{id, metadata, document}>>}
+   */
+  async get(options = {}) {
+    return this.select(options).map(record => ({
+      id: record.id,
+      metadata: record.metadata,
+      document: record.document
+    }));
+  }
+
+  /**
+   * @param {Object} options - { ids, where }
+   * @returns {Promise<number>} Число удалённых записей
+   */
+  async delete(options = {}) {
+    const records = this.select(options);
+    for (const record of records) {
+      this.records.delete(record.id);
+    }
+    if (records.length > 0) {
+      this.persist();
+    }
+    return records.length;
+  }
+
+  async count() {
+    return this.records.size;
+  }
+
+  /**
+   * Записи по ids и/или фильтру
+   * @param {Object} options - { ids, where }
+   * @returns {Array}
+   */
+  select({ ids = null, where = null } = {}) {
+    const records = ids
+      ? ids.map(id => this.records.get(id)).filter(Boolean)
+      : [...this.records.values()];
+    return records.filter(record => matchesWhere(record.metadata, where));
+  }
+
+  /**
+   * @param {Array<number>} a
+   * @param {Array<number>} b
+   * @returns {number} 0 (одинаковые) ... 2 (противоположные)
+   */
+  cosineDistance(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    const norm = Math.sqrt(normA) * Math.sqrt(normB);
+    return norm > 0 ? 1 - dot / norm : 1;
+  }
+
+  /**
+   * Отложенная запись коллекции: изменения, накопленные за persistDelay мс,
+   * сохраняются одной записью. Ошибка отложенной записи логируется,
+   * изменения остаются несохранёнными до следующей записи или flush()
+   */
+  persist() {
+    if (!this.file) return;
+
+    this.dirty = true;
+    if (this.timer) return;
+
+    this.timer = setTimeout(() => {
+      this.flush().catch(error => {
+        console.error(`❌ Failed to save vector store ${this.file}: ${error.message}`);
+      });
+    }, this.persistDelay);
+  }
+
+  /**
+   * Запись несохранённых изменений в файл: временный файл + rename, записи
+   * идут по очереди. Ошибка прежней записи не мешает следующим
+   * @returns {Promise<void>} Отклоняется ошибкой этой записи
+   */
+  async flush() {
+    if (!this.file) return;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      if (!this.dirty) return;
+      this.dirty = false;
+
+      try {
+        const data = JSON.stringify({
+          metadata: this.metadata,
+          records: [...this.records.values()]
+        });
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(`${this.file}.tmp`, data, 'utf8');
+        await fs.promises.rename(`${this.file}.tmp`, this.file);
+      } catch (error) {
+        this.dirty = true;
+        throw error;
+      }
+    });
+
+    await this.writing;
+  }
+}
+
+module.exports = MemoryVectorStore;
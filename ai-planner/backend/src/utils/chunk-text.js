@@ -0,0 +1,125 @@
+/**
+ * Chunk Text - текстовое представление чанков
+ *
+ * Один и тот же текст идёт в embeddings (RAGEngine), в промпты Claude
+ * и в экспорт (Markdown, JSONL), поэтому рендеринг живёт в одном месте.
+ */
+
+const { childNodes, collectFields, formatPath, nodeName } = require('./template-tree');
+
+/**
+ * Строка поля в списке "Поля:"
+ * @param {Object} field
+ * @returns {string}
+ */
+function fieldToText(field) {
+  let text = `- **${field.label}** (${field.type})`;
+
+  if (field.description) {
+    text += `: ${field.description}`;
+  }
+
+  if (field.required) {
+    text += ' [обязательное]';
+  }
+
+  if (field.aiHints && field.aiHints.length > 0) {
+    text += `\n  Подсказка: ${field.aiHints[0]}`;
+  }
+
+  return text;
+}
+
+/**
+ * Текст отдельного поля (field-level индекс, экспорт по полям):
+ * breadcrumb раздела, строка поля и все подсказки aiHints
+ * @param {Object} field
+ * @param {string} path - Путь раздела поля
+ * @returns {string}
+ */
+function fieldDocumentText(field, path) {
+  let text = `# ${path}\n\n${fieldToText(field)}`;
+
+  for (const hint of (field.aiHints || []).slice(1)) {
+    text += `\n  Подсказка: ${hint}`;
+  }
+
+  return text;
+}
+
+/**
+ * Поля chunk вместе с их записями provenance (путь, pointer, строки)
+ * @param {Object} chunk
+ * @returns {Array<{field: Object, entry: Object}>}
+ */
+function chunkFields(chunk) {
+  const fieldsById = new Map(
+    chunk.content.sections.flatMap(section => collectFields(section)).map(f => [f.id, f])
+  );
+
+  return (chunk.provenance?.fields || [])
+    .filter(entry => fieldsById.has(entry.id))
+    .map(entry => ({ field: fieldsById.get(entry.id), entry }));
+}
+
+/**
+ * Текст секции или группы полей, рекурсивно с вложенными группами.
+ * Заголовок узла - breadcrumb от имени секции ("Аутентификация › OAuth"),
+ * чтобы контекст раздела попадал в embedding вложенных групп.
+ * @param {Object} node
+ * @param {Array<string>} [path] - Путь узла от секции (по умолчанию - сам узел как секция)
+ * @returns {string}
+ */
+function nodeToText(node, path = [nodeName(node)]) {
+  const level = Math.min(path.length + 1, 6);
+  let text = `${'#'.repeat(level)} ${formatPath(path)}\n`;
+
+  if (node.description) {
+    text += `${node.description}\n\n`;
+  }
+
+  if (node.fields && node.fields.length > 0) {
+    text += `Поля:\n`;
+    for (const field of node.fields) {
+      text += `${fieldToText(field)}\n`;
+    }
+    text += '\n';
+  }
+
+  for (const child of childNodes(node)) {
+    text += nodeToText(child.node, [...path, nodeName(child.node)]);
+  }
+
+  return text;
+}
+
+/**
+ * Преобразование chunk в текстовое представление для embedding
+ * @param {Object} chunk
+ * @returns {string}
+ */
+function chunkToText(chunk) {
+  let text = `# ${chunk.title}\n\n`;
+
+  if (chunk.path && chunk.path !== chunk.title) {
+    text += `Раздел: ${chunk.path}\n\n`;
+  }
+
+  if (chunk.tags && chunk.tags.length > 0) {
+    text += `Теги: ${chunk.tags.join(', ')}\n\n`;
+  }
+
+  for (const section of chunk.content.sections) {
+    text += nodeToText(section);
+  }
+
+  return text.trim();
+}
+
+module.exports = {
+  chunkFields,
+  chunkToText,
+  fieldDocumentText,
+  fieldToText,
+  nodeToText
+};
@@ -0,0 +1,193 @@
+/**
+ * Field Values - проверка значений полей формы
+ *
+ * Правила те же, что у формы: тип поля, варианты select/radio/multiselect,
+ * validation (min/max, длина) и aiValidation.pattern. Используются там, где
+ * факты о форме считаются кодом, а не моделью, и для разбора ответа Claude
+ * при автозаполнении: текст превращается в значение типа поля.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+// Ответы для checkbox (первое слово ответа)
+const TRUE_WORDS = ['да', 'yes', 'true', '1', 'включено', 'включить'];
+const FALSE_WORDS = ['нет', 'no', 'false', '0', 'выключено', 'выключить'];
+
+/**
+ * Есть ли значение: пустые строки, пустые массивы, null и undefined - нет.
+ * false у checkbox - значение.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function hasValue(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+/**
+ * Заполнено ли поле: обязательный checkbox считается заполненным, только
+ * когда он отмечен
+ * @param {Object} field
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isFilled(field, value) {
+  if (field.type === 'checkbox' && typeof value === 'boolean') return value;
+  return hasValue(value);
+}
+
+/**
+ * Проверка заполненного значения
+ * @param {Object} field
+ * @param {*} value
+ * @returns {string|null} Сообщение об ошибке или null
+ */
+function validateFieldValue(field, value) {
+  if (!hasValue(value)) return null;
+
+  const values = Array.isArray(value) ? value : [value];
+  const options = (field.options || []).map(option => String(option.value));
+
+  switch (field.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'));
+      if (!Number.isFinite(number)) return 'Значение должно быть числом';
+      if (field.validation?.min !== undefined && number < field.validation.min) {
+        return `Значение должно быть не меньше ${field.validation.min}`;
+      }
+      if (field.validation?.max !== undefined && number > field.validation.max) {
+        return `Значение должно быть не больше ${field.validation.max}`;
+      }
+      break;
+    }
+    case 'email':
+      if (!EMAIL_PATTERN.test(String(value).trim())) return 'Некорректный email';
+      break;
+    case 'url':
+      try {
+        const url = new URL(String(value).trim());
+        if (!['http:', 'https:'].includes(url.protocol)) return 'URL должен начинаться с http:// или https://';
+      } catch (error) {
+        return 'Некорректный URL';
+      }
+      break;
+    case 'date':
+      if (!DATE_PATTERN.test(String(value)) || Number.isNaN(Date.parse(value))) {
+        return 'Дата должна быть в формате ГГГГ-ММ-ДД';
+      }
+      break;
+    case 'select':
+    case 'radio':
+    case 'multiselect': {
+      if (field.type !== 'multiselect' && values.length > 1) return 'Можно выбрать только один вариант';
+      const unknown = values.filter(item => options.length > 0 && !options.includes(String(item)));
+      if (unknown.length > 0) {
+        return `Нет такого варианта: ${unknown.join(', ')} (варианты: ${options.join(', ')})`;
+      }
+      break;
+    }
+    case 'checkbox':
+      break;
+    default: {
+      const length = String(value).length;
+      if (field.validation?.minLength !== undefined && length < field.validation.minLength) {
+        return `Минимальная длина - ${field.validation.minLength} символов`;
+      }
+      if (field.validation?.maxLength !== undefined && length > field.validation.maxLength) {
+        return `Максимальная длина - ${field.validation.maxLength} символов`;
+      }
+    }
+  }
+
+  const pattern = field.aiValidation?.pattern;
+  if (pattern) {
+    let regex;
+    try {
+      regex = new RegExp(pattern);
+    } catch (error) {
+      // Некорректный pattern находит TemplateValidator
+      return null;
+    }
+    if (values.some(item => !regex.test(String(item)))) {
+      return field.aiValidation.errorMessage || `Значение не соответствует шаблону ${pattern}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Вариант select/radio/multiselect по значению или подписи (без учёта регистра)
+ * @param {Object} field
+ * @param {string} text
+ * @returns {*} value варианта или undefined
+ */
+function matchOption(field, text) {
+  const needle = text.toLowerCase();
+  const option = (field.options || []).find(item =>
+    String(item.value).toLowerCase() === needle ||
+    String(item.label ?? '').toLowerCase() === needle
+  );
+  return option?.value;
+}
+
+/**
+ * Разбор текстового ответа в значение типа поля с проверкой
+ * @param {Object} field
+ * @param {string} text - Ответ модели
+ * @returns {{value: *, error: string|null}} value - число, boolean, массив
+ *   для multiselect или строка; при ошибке разбора - исходный текст
+ */
+function parseFieldValue(field, text) {
+  // Ответ в кавычках или в блоке кода - снимаем обёртку
+  const raw = String(text ?? '').trim()
+    .replace(/^```\w*\n?([\s\S]*?)\n?```$/, '$1')
+    .replace(/^(["'`«])([\s\S]*)(["'`»])$/, '$2')
+    .trim();
+
+  if (raw === '') {
+    return { value: raw, error: 'Пустое значение' };
+  }
+
+  let value = raw;
+  switch (field.type) {
+    case 'number': {
+      const number = Number(raw.replace(/\s/g, '').replace(',', '.'));
+      if (!Number.isFinite(number)) return { value: raw, error: 'Значение должно быть числом' };
+      value = number;
+      break;
+    }
+    case 'checkbox': {
+      const word = raw.toLowerCase().split(/[\s,.!;:]+/)[0];
+      if (TRUE_WORDS.includes(word)) value = true;
+      else if (FALSE_WORDS.includes(word)) value = false;
+      else return { value: raw, error: 'Ответ должен быть "да" или "нет"' };
+      break;
+    }
+    case 'select':
+    case 'radio': {
+      const option = matchOption(field, raw);
+      if (option !== undefined) value = option;
+      break;
+    }
+    case 'multiselect':
+      value = raw
+        .split(/[,;\n]/)
+        .map(item => item.replace(/^[-*•]\s*/, '').trim())
+        .filter(Boolean)
+        .map(item => matchOption(field, item) ?? item);
+      break;
+  }
+
+  return { value, error: validateFieldValue(field, value) };
+}
+
+module.exports = {
+  hasValue,
+  isFilled,
+  parseFieldValue,
+  validateFieldValue
+};
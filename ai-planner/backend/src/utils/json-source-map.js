@@ -0,0 +1,132 @@
+/**
+ * JSON Source Map - позиции значений JSON в исходном тексте
+ *
+ * Для каждого значения строит JSON pointer (RFC 6901) и диапазон строк
+ * в исходном файле, чтобы чанки можно было отследить до места в шаблоне.
+ */
+
+/**
+ * Экранирование сегмента JSON pointer
+ * @param {string|number} segment
+ * @returns {string}
+ */
+function escapePointerSegment(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Сборка JSON pointer из сегментов
+ * @param {...(string|number)} segments
+ * @returns {string}
+ */
+function toPointer(...segments) {
+  return segments.map(s => `/${escapePointerSegment(s)}`).join('');
+}
+
+/**
+ * Построение карты pointer → { startLine, endLine } для JSON-текста
+ * @param {string} text - Исходный JSON
+ * @returns {Object<string, {startLine: number, endLine: number}>}
+ */
+function buildSourceMap(text) {
+  const map = {};
+  let pos = 0;
+  let line = 1;
+
+  const fail = (message) => {
+    throw new SyntaxError(`${message} at line ${line}`);
+  };
+
+  const skipWhitespace = () => {
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === '\n') {
+        line++;
+        pos++;
+      } else if (char === ' ' || char === '\t' || char === '\r') {
+        pos++;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const expect = (char) => {
+    skipWhitespace();
+    if (text[pos] !== char) fail(`Expected "${char}"`);
+    pos++;
+  };
+
+  const parseString = () => {
+    const start = pos;
+    pos++;
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === '\\') pos++;
+      pos++;
+    }
+    if (pos >= text.length) fail('Unterminated string');
+    pos++;
+    return JSON.parse(text.slice(start, pos));
+  };
+
+  const parseLiteral = () => {
+    const start = pos;
+    while (pos < text.length && !/[\s,\]}]/.test(text[pos])) pos++;
+    if (pos === start) fail(`Unexpected character "${text[pos] || 'EOF'}"`);
+  };
+
+  const parseValue = (pointer) => {
+    skipWhitespace();
+    const startLine = line;
+    const char = text[pos];
+
+    if (char === '{') {
+      pos++;
+      skipWhitespace();
+      if (text[pos] === '}') {
+        pos++;
+      } else {
+        for (;;) {
+          skipWhitespace();
+          if (text[pos] !== '"') fail('Expected property name');
+          const key = parseString();
+          expect(':');
+          parseValue(`${pointer}/${escapePointerSegment(key)}`);
+          skipWhitespace();
+          if (text[pos] === ',') { pos++; continue; }
+          expect('}');
+          break;
+        }
+      }
+    } else if (char === '[') {
+      pos++;
+      skipWhitespace();
+      if (text[pos] === ']') {
+        pos++;
+      } else {
+        for (let index = 0; ; index++) {
+          parseValue(`${pointer}/${index}`);
+          skipWhitespace();
+          if (text[pos] === ',') { pos++; continue; }
+          expect(']');
+          break;
+        }
+      }
+    } else if (char === '"') {
+      parseString();
+    } else {
+      parseLiteral();
+    }
+
+    map[pointer] = { startLine, endLine: line };
+  };
+
+  parseValue('');
+  return map;
+}
+
+module.exports = {
+  buildSourceMap,
+  escapePointerSegment,
+  toPointer
+};
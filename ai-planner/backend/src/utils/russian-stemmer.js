@@ -0,0 +1,146 @@
+/**
+ * Russian Stemmer - стеммер Портера (Snowball) для русского языка
+ *
+ * Отрезает окончания, чтобы "поля", "полей" и "полях" давали одну основу
+ * в keyword-индексе. Реализация следует алгоритму
+ * https://snowballstem.org/algorithms/russian/stemmer.html
+ */
+
+const VOWELS = 'аеиоуыэюя';
+
+// Группа 1 - окончания, которым должна предшествовать "а" или "я"
+const PERFECTIVE_GERUND = [
+  ['в', 'вши', 'вшись'],
+  ['ив', 'ивши', 'ившись', 'ыв', 'ывши', 'ывшись']
+];
+
+const ADJECTIVE = [
+  [],
+  ['ее', 'ие', 'ые', 'ое', 'ими', 'ыми', 'ей', 'ий', 'ый', 'ой', 'ем', 'им', 'ым', 'ом',
+    'его', 'ого', 'ему', 'ому', 'их', 'ых', 'ую', 'юю', 'ая', 'яя', 'ою', 'ею']
+];
+
+const PARTICIPLE = [
+  ['ем', 'нн', 'вш', 'ющ', 'щ'],
+  ['ивш', 'ывш', 'ующ']
+];
+
+const REFLEXIVE = [[], ['ся', 'сь']];
+
+const VERB = [
+  ['ла', 'на', 'ете', 'йте', 'ли', 'й', 'л', 'ем', 'н', 'ло', 'но', 'ет', 'ют', 'ны', 'ть', 'ешь', 'нно'],
+  ['ила', 'ыла', 'ена', 'ейте', 'уйте', 'ите', 'или', 'ыли', 'ей', 'уй', 'ил', 'ыл', 'им', 'ым', 'ен',
+    'ило', 'ыло', 'ено', 'ят', 'ует', 'уют', 'ит', 'ыт', 'ены', 'ить', 'ыть', 'ишь', 'ую', 'ю']
+];
+
+const NOUN = [
+  [],
+  ['а', 'ев', 'ов', 'ие', 'ье', 'е', 'иями', 'ями', 'ами', 'еи', 'ии', 'и', 'ией', 'ей', 'ой', 'ий',
+    'й', 'иям', 'ям', 'ием', 'ем', 'ам', 'ом', 'о', 'у', 'ах', 'иях', 'ях', 'ы', 'ь', 'ию', 'ью', 'ю',
+    'ия', 'ья', 'я']
+];
+
+const SUPERLATIVE = [[], ['ейше', 'ейш']];
+
+const DERIVATIONAL = [[], ['ость', 'ост']];
+
+/**
+ * Начало области после первой гласной (RV) и области R2
+ * @param {string} word
+ * @returns {{rv: number, r2: number}}
+ */
+function regions(word) {
+  const afterVowelConsonant = start => {
+    for (let i = start + 1; i < word.length; i++) {
+      if (!VOWELS.includes(word[i]) && VOWELS.includes(word[i - 1])) return i + 1;
+    }
+    return word.length;
+  };
+
+  const firstVowel = [...word].findIndex(char => VOWELS.includes(char));
+  const r1 = afterVowelConsonant(0);
+
+  return {
+    rv: firstVowel === -1 ? word.length : firstVowel + 1,
+    r2: afterVowelConsonant(r1)
+  };
+}
+
+/**
+ * Удаление самого длинного окончания из групп, если оно лежит в области start.
+ * Как в Snowball: выбирается самое длинное подходящее окончание, и если его
+ * условие (а/я перед окончанием группы 1) не выполнено, более короткие не пробуются.
+ * @param {string} word
+ * @param {Array<Array<string>>} groups - [группа 1, группа 2]
+ * @param {number} start - Начало области
+ * @returns {string|null} Слово без окончания или null
+ */
+function removeEnding(word, groups, start) {
+  let match = null;
+
+  groups.forEach((endings, group) => {
+    for (const ending of endings) {
+      if (word.endsWith(ending) && word.length - ending.length >= start &&
+          (!match || ending.length > match.ending.length)) {
+        match = { ending, group };
+      }
+    }
+  });
+
+  if (!match) return null;
+
+  const stem = word.slice(0, word.length - match.ending.length);
+  if (match.group === 0 && !(stem.length > start && 'ая'.includes(stem[stem.length - 1]))) {
+    return null;
+  }
+  return stem;
+}
+
+/**
+ * Основа русского слова (слово в нижнем регистре)
+ * @param {string} word
+ * @returns {string}
+ */
+function stem(word) {
+  word = word.replace(/ё/g, 'е');
+  const { rv, r2 } = regions(word);
+  if (rv >= word.length) return word;
+
+  // Шаг 1: деепричастие или (возвратность +) прилагательное / глагол / существительное
+  let result = removeEnding(word, PERFECTIVE_GERUND, rv);
+  if (result === null) {
+    result = removeEnding(word, REFLEXIVE, rv) ?? word;
+
+    const adjectival = removeEnding(result, ADJECTIVE, rv);
+    if (adjectival !== null) {
+      result = removeEnding(adjectival, PARTICIPLE, rv) ?? adjectival;
+    } else {
+      result = removeEnding(result, VERB, rv) ?? removeEnding(result, NOUN, rv) ?? result;
+    }
+  }
+
+  // Шаг 2: конечное "и"
+  if (result.endsWith('и') && result.length - 1 >= rv) {
+    result = result.slice(0, -1);
+  }
+
+  // Шаг 3: словообразовательное окончание в R2
+  result = removeEnding(result, DERIVATIONAL, Math.max(r2, rv)) ?? result;
+
+  // Шаг 4: "нн" → "н", превосходная степень, мягкий знак
+  const superlative = removeEnding(result, SUPERLATIVE, rv);
+  if (superlative !== null) {
+    result = superlative;
+  }
+  if (result.endsWith('нн') && result.length - 2 >= rv) {
+    result = result.slice(0, -1);
+  } else if (superlative === null && result.endsWith('ь') && result.length - 1 >= rv) {
+    result = result.slice(0, -1);
+  }
+
+  return result;
+}
+
+module.exports = {
+  stem
+};
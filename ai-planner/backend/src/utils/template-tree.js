@@ -0,0 +1,138 @@
+/**
+ * Template Tree - обход иерархических шаблонов
+ *
+ * Секция может содержать собственные поля (fields), подсекции (sections)
+ * и группы полей (groups) - как "Группы полей" в HTML-планировщике.
+ * Группы, в свою очередь, могут быть вложенными.
+ */
+
+const { escapePointerSegment } = require('./json-source-map');
+
+// Ключи дочерних узлов в порядке обхода
+const CHILD_KEYS = ['groups', 'sections'];
+
+const PATH_SEPARATOR = ' › ';
+
+/**
+ * Отображаемое имя узла (у групп планировщика - title)
+ * @param {Object} node
+ * @returns {string}
+ */
+function nodeName(node) {
+  return node.name || node.title || node.id || '';
+}
+
+/**
+ * Дочерние узлы с их ключами и индексами
+ * @param {Object} node
+ * @returns {Array<{key: string, index: number, node: Object}>}
+ */
+function childNodes(node) {
+  const children = [];
+  for (const key of CHILD_KEYS) {
+    (node[key] || []).forEach((child, index) => {
+      children.push({ key, index, node: child });
+    });
+  }
+  return children;
+}
+
+/**
+ * JSON pointer дочернего узла
+ * @param {string} pointer - JSON pointer родителя
+ * @param {{key: string, index: number}} child
+ * @returns {string}
+ */
+function childPointer(pointer, child) {
+  return `${pointer}/${escapePointerSegment(child.key)}/${child.index}`;
+}
+
+/**
+ * Есть ли у узла вложенные группы или подсекции
+ * @param {Object} node
+ * @returns {boolean}
+ */
+function hasNesting(node) {
+  return childNodes(node).length > 0;
+}
+
+/**
+ * Список всех полей узла (включая вложенные) с pointer и путём
+ * @param {Object} node
+ * @param {string} pointer - JSON pointer узла
+ * @param {Array<string>} path - Имена узлов от корня до node включительно
+ * @returns {Array<{field: Object, pointer: string, path: Array<string>}>}
+ */
+function listFields(node, pointer = '', path = [nodeName(node)]) {
+  const entries = (node.fields || []).map((field, index) => ({
+    field,
+    pointer: `${pointer}/fields/${index}`,
+    path
+  }));
+
+  for (const child of childNodes(node)) {
+    entries.push(...listFields(
+      child.node,
+      childPointer(pointer, child),
+      [...path, nodeName(child.node)]
+    ));
+  }
+
+  return entries;
+}
+
+/**
+ * Все поля узла (включая вложенные)
+ * @param {Object} node
+ * @returns {Array<Object>}
+ */
+function collectFields(node) {
+  return listFields(node).map(entry => entry.field);
+}
+
+/**
+ * Копия узла, в которой оставлены только поля из includedPointers.
+ * Группы и подсекции без оставшихся полей отбрасываются.
+ * @param {Object} node
+ * @param {string} pointer - JSON pointer узла
+ * @param {Set<string>} includedPointers - Pointer'ы полей, которые нужно сохранить
+ * @returns {Object}
+ */
+function pruneTree(node, pointer, includedPointers) {
+  const copy = { ...node };
+
+  if (node.fields) {
+    copy.fields = node.fields.filter((_, index) => includedPointers.has(`${pointer}/fields/${index}`));
+  }
+
+  for (const key of CHILD_KEYS) {
+    if (!node[key]) continue;
+    copy[key] = node[key]
+      .map((child, index) => pruneTree(child, childPointer(pointer, { key, index }), includedPointers))
+      .filter(child => collectFields(child).length > 0);
+  }
+
+  return copy;
+}
+
+/**
+ * Форматирование пути в breadcrumb: "Аутентификация › OAuth › Scopes"
+ * @param {Array<string>} path
+ * @returns {string}
+ */
+function formatPath(path) {
+  return path.filter(Boolean).join(PATH_SEPARATOR);
+}
+
+module.exports = {
+  CHILD_KEYS,
+  PATH_SEPARATOR,
+  childNodes,
+  childPointer,
+  collectFields,
+  formatPath,
+  hasNesting,
+  listFields,
+  nodeName,
+  pruneTree
+};
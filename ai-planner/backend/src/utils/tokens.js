@@ -0,0 +1,29 @@
+/**
+ * Tokens - оценка числа токенов без токенизатора
+ *
+ * Используется и при разбиении на чанки (chunkBy: 'tokens'), и при отборе
+ * контекста в бюджет промпта (RAGEngine).
+ */
+
+// Средняя длина токена в символах: кириллица токенизируется заметно хуже латиницы
+const CYRILLIC_CHARS_PER_TOKEN = 2;
+const LATIN_CHARS_PER_TOKEN = 4;
+
+/**
+ * Оценка количества токенов для текста или объекта.
+ * Пробелы не считаются: BPE-токенизаторы склеивают их со словами.
+ * @param {string|Object} value
+ * @returns {number}
+ */
+function estimateTokens(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  const nonSpace = text.replace(/\s+/g, '');
+  const cyrillic = (nonSpace.match(/[\u0400-\u04FF]/g) || []).length;
+  const other = nonSpace.length - cyrillic;
+
+  return Math.ceil(cyrillic / CYRILLIC_CHARS_PER_TOKEN + other / LATIN_CHARS_PER_TOKEN);
+}
+
+module.exports = {
+  estimateTokens
+};
@@ -0,0 +1,77 @@
+const { planAutoFill } = require('../src/services/autofill-plan');
+
+const ids = fields => fields.map(field => field.id);
+const skippedIds = (plan, reason) => plan.skipped
+  .filter(entry => entry.reason === reason)
+  .map(entry => entry.field.id);
+
+describe('planAutoFill', () => {
+  const fields = [
+    { id: 'summary', path: 'Обзор', required: true, aiDependsOn: ['name', 'auth'] },
+    { id: 'name', path: 'Обзор', required: true },
+    { id: 'auth', path: 'Аутентификация', aiDependsOn: ['provider'] },
+    { id: 'provider', path: 'Аутентификация › OAuth' },
+    { id: 'notes', path: 'Прочее' }
+  ];
+
+  test('orders fields after their aiDependsOn', () => {
+    const plan = planAutoFill(fields, {}, { include: 'all' });
+
+    expect(ids(plan.order)).toEqual(['name', 'provider', 'notes', 'auth', 'summary']);
+    expect(plan.skipped).toEqual([]);
+  });
+
+  test('adds empty prerequisites outside the selection to the plan', () => {
+    const plan = planAutoFill(fields, {}, { section: 'Обзор' });
+
+    expect(ids(plan.order)).toEqual(['name', 'provider', 'auth', 'summary']);
+  });
+
+  test('takes filled and hidden prerequisites from formData', () => {
+    const withHidden = fields.map(field => field.id === 'provider'
+      ? { ...field, conditions: [{ fieldId: 'name', operator: 'equals', value: 'oauth' }] }
+      : field);
+
+    expect(ids(planAutoFill(fields, { auth: 'API key' }, { fieldIds: ['summary'] }).order))
+      .toEqual(['name', 'summary']);
+    expect(ids(planAutoFill(withHidden, { name: 'Billing' }, { fieldIds: ['auth'] }).order))
+      .toEqual(['auth']);
+  });
+
+  test('treats false and 0 as filled prerequisites', () => {
+    const typed = [
+      { id: 'public', type: 'checkbox' },
+      { id: 'limit', type: 'number' },
+      { id: 'policy', required: true, aiDependsOn: ['public', 'limit'] }
+    ];
+
+    expect(ids(planAutoFill(typed, { public: false, limit: 0 }).order)).toEqual(['policy']);
+  });
+
+  test('skips filled fields unless overwrite is set', () => {
+    const formData = { name: 'Billing API' };
+
+    expect(skippedIds(planAutoFill(fields, formData), 'filled')).toEqual(['name']);
+    expect(ids(planAutoFill(fields, formData, { overwrite: true }).order)).toContain('name');
+  });
+
+  test('skips fields in a dependency cycle and their dependents', () => {
+    const cyclic = [
+      { id: 'a', required: true, aiDependsOn: ['b'] },
+      { id: 'b', required: true, aiDependsOn: ['a'] },
+      { id: 'c', required: true, aiDependsOn: ['a'] },
+      { id: 'd', required: true }
+    ];
+    const plan = planAutoFill(cyclic, {});
+
+    expect(ids(plan.order)).toEqual(['d']);
+    expect(skippedIds(plan, 'dependency-cycle')).toEqual(['a', 'b', 'c']);
+  });
+
+  test('defers fields over the limit from the end of the order', () => {
+    const plan = planAutoFill(fields, {}, { include: 'all', limit: 2 });
+
+    expect(ids(plan.order)).toEqual(['name', 'provider']);
+    expect(skippedIds(plan, 'limit')).toEqual(['notes', 'auth', 'summary']);
+  });
+});
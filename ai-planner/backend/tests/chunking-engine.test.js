@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const ChunkingEngine = require('../src/services/chunking-engine');
+const { chunkToText } = require('../src/utils/chunk-text');
+
+const template = JSON.parse(fs.readFileSync(path.join(__dirname, '../../templates/examples/api-documentation.json'), 'utf8'));
+
+// Движки подробно логируют каждый шаг
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const newSection = {
+  id: 'section-000',
+  name: 'Глоссарий',
+  tags: ['glossary'],
+  fields: [{ id: 'glossary', label: 'Термины', type: 'textarea' }]
+};
+
+describe('ChunkingEngine', () => {
+  const engine = new ChunkingEngine({ maxChunkSize: 60, minChunkSize: 10 });
+
+  describe('stable chunk IDs', () => {
+    test('are the same for the same template', () => {
+      const ids = engine.chunkTemplate(template).chunks.map(c => c.id);
+
+      expect(engine.chunkTemplate(structuredClone(template)).chunks.map(c => c.id)).toEqual(ids);
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    test('do not change when a section is inserted before', () => {
+      const before = engine.chunkTemplate(template).chunks;
+      const after = engine.chunkTemplate({ ...template, sections: [newSection, ...template.sections] }).chunks;
+
+      expect(after.map(c => c.id)).toEqual(expect.arrayContaining(before.map(c => c.id)));
+      expect(after).toHaveLength(before.length + 1);
+    });
+  });
+
+  describe('incremental chunking (previous)', () => {
+    const first = engine.chunkTemplate(template);
+    for (const chunk of first.chunks) {
+      chunk.embedding = [1, 0];
+      chunk.embeddingHash = chunk.contentHash;
+      chunk.embeddingProvider = 'test:model';
+    }
+
+    test('reports added, changed, removed and unchanged chunks', () => {
+      const edited = structuredClone(template);
+      edited.sections.splice(6, 1); // Error Handling
+      edited.sections[3].description = 'Каталог товаров';
+      edited.sections.unshift(newSection);
+
+      const { chunks, changes } = engine.chunkTemplate(edited, { previous: first });
+      const idOf = sectionId => chunks.find(c => c.content.sections.some(s => s.id === sectionId)).id;
+      const previousIdOf = sectionId => first.chunks.find(c => c.content.sections.some(s => s.id === sectionId)).id;
+
+      expect(changes.added).toEqual([idOf('section-000')]);
+      expect(changes.changed).toEqual([idOf('section-004')]);
+      expect(changes.removed).toEqual([previousIdOf('section-007')]);
+      expect(changes.unchanged).toHaveLength(first.chunks.length - 2);
+    });
+
+    test('carries embeddings over to unchanged chunks only', () => {
+      const edited = structuredClone(template);
+      edited.sections[3].description = 'Каталог товаров';
+
+      const { chunks, changes } = engine.chunkTemplate(edited, { previous: first });
+      const changed = chunks.find(c => c.id === changes.changed[0]);
+
+      expect(changed.embedding).toBeNull();
+      expect(chunks.filter(c => c.embedding)).toHaveLength(changes.unchanged.length);
+      expect(changes.added).toEqual([]);
+      expect(changes.removed).toEqual([]);
+    });
+  });
+
+  describe('chunks of several sections', () => {
+    const dependent = {
+      name: 'Сервис',
+      sections: [
+        { id: 's1', name: 'Обзор', fields: [{ id: 'name', label: 'Название', type: 'text' }] },
+        { id: 's2', name: 'Аутентификация', fields: [{ id: 'auth', label: 'Схема', type: 'text', aiDependsOn: ['name'] }] },
+        { id: 's3', name: 'Прочее', fields: [{ id: 'notes', label: 'Заметки', type: 'text' }] }
+      ]
+    };
+
+    test('keep sections linked by aiDependsOn together', () => {
+      const { chunks } = new ChunkingEngine({ maxChunkSize: 30, minChunkSize: 1 }).chunkTemplate(dependent);
+
+      expect(chunks.map(c => c.content.sections.map(s => s.id))).toEqual([['s1', 's2'], ['s3']]);
+      expect(chunks.every(c => c.links.dependsOn.length === 0)).toBe(true);
+    });
+
+    test('are not labelled with the breadcrumb of the first section', () => {
+      const { chunks } = new ChunkingEngine({ maxChunkSize: 30, minChunkSize: 1 }).chunkTemplate(dependent);
+
+      expect(chunks[0]).toMatchObject({ title: 'Обзор, Аутентификация', path: '' });
+      expect(chunkToText(chunks[0])).not.toContain('Раздел:');
+      expect(chunks[1]).toMatchObject({ title: 'Прочее', path: 'Прочее' });
+    });
+
+    test('merged parts of one section keep its path', () => {
+      const part = (n, group) => ({
+        title: `Endpoints (часть ${n})`,
+        path: `Endpoints › ${group}`,
+        tags: [],
+        content: { sections: [{ id: `s-part-${n}`, name: `Endpoints (часть ${n})` }] },
+        provenance: { sections: [{ id: `s-part-${n}`, pointer: '/sections/0', startLine: n, endLine: n + 1 }], fields: [] }
+      });
+
+      expect(engine.mergeChunks(part(1, 'Пользователи'), part(2, 'Товары')).path).toBe('Endpoints');
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const RAGEngine = require('../src/services/rag-engine');
+const OpenAIEmbeddingProvider = require('../src/services/embeddings/openai-provider');
+
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const httpError = (status, retryAfter = null) => Object.assign(new Error(`Embedding API error: ${status}`), { status, retryAfter });
+const networkError = code => Object.assign(new TypeError('fetch failed'), { cause: Object.assign(new Error(code), { code }) });
+
+describe('RAGEngine.embedWithRetry', () => {
+  const createEngine = (embedder, config = {}) => {
+    const rag = new RAGEngine({
+      vectorStore: 'memory',
+      embeddingProvider: embedder,
+      embeddingCache: false,
+      embeddingMaxRetries: 3,
+      ...config
+    });
+    rag.sleep = jest.fn().mockResolvedValue();
+    return rag;
+  };
+  const failingThen = (...errors) => {
+    const embed = jest.fn();
+    for (const error of errors) embed.mockRejectedValueOnce(error);
+    embed.mockResolvedValue([[0.1, 0.2]]);
+    return { id: 'test:model', embed };
+  };
+
+  test.each([
+    ['HTTP 429', httpError(429)],
+    ['HTTP 503', httpError(503)],
+    ['a refused connection', new TypeError('fetch failed')],
+    ['ECONNRESET', networkError('ECONNRESET')],
+    ['ETIMEDOUT', Object.assign(new Error('socket timeout'), { code: 'ETIMEDOUT' })]
+  ])('retries %s with exponential backoff', async (name, error) => {
+    const embedder = failingThen(error, error);
+    const rag = createEngine(embedder);
+
+    await expect(rag.embedWithRetry(['text'])).resolves.toEqual([[0.1, 0.2]]);
+    expect(embedder.embed).toHaveBeenCalledTimes(3);
+    expect(rag.sleep.mock.calls).toEqual([[1000], [2000]]);
+  });
+
+  test('waits for Retry-After of the server', async () => {
+    const rag = createEngine(failingThen(httpError(429, 5000)));
+
+    await rag.embedWithRetry(['text']);
+
+    expect(rag.sleep).toHaveBeenCalledWith(5000);
+  });
+
+  test('gives up after embeddingMaxRetries', async () => {
+    const embedder = failingThen(...Array(4).fill(httpError(500)));
+    const rag = createEngine(embedder);
+
+    await expect(rag.embedWithRetry(['text'])).rejects.toMatchObject({ status: 500 });
+    expect(embedder.embed).toHaveBeenCalledTimes(4);
+  });
+
+  test.each([
+    ['HTTP 400', httpError(400)],
+    ['HTTP 401', httpError(401)],
+    ['a programming error', new TypeError('Cannot read properties of undefined')],
+    ['a plain error', new Error('Unexpected response')]
+  ])('fails immediately on %s', async (name, error) => {
+    const embedder = failingThen(error);
+    const rag = createEngine(embedder);
+
+    await expect(rag.embedWithRetry(['text'])).rejects.toBe(error);
+    expect(embedder.embed).toHaveBeenCalledTimes(1);
+    expect(rag.sleep).not.toHaveBeenCalled();
+  });
+
+  test('fails immediately without OPENAI_API_KEY', async () => {
+    const rag = createEngine(new OpenAIEmbeddingProvider());
+
+    await expect(rag.embedWithRetry(['text'])).rejects.toMatchObject({ code: 'EMBEDDING_API_KEY_MISSING' });
+    expect(rag.sleep).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,105 @@
+const RAGEngine = require('../src/services/rag-engine');
+const { parseFieldValue } = require('../src/utils/field-values');
+
+// Движки подробно логируют каждый шаг
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+const priority = {
+  id: 'priority',
+  type: 'select',
+  options: [
+    { value: 'high', label: 'Высокий' },
+    { value: 'low', label: 'Низкий' }
+  ]
+};
+
+describe('parseFieldValue', () => {
+  test('parses numbers', () => {
+    const field = { type: 'number', validation: { min: 1, max: 10000 } };
+
+    expect(parseFieldValue(field, '1 000')).toEqual({ value: 1000, error: null });
+    expect(parseFieldValue(field, '"2,5"')).toEqual({ value: 2.5, error: null });
+    expect(parseFieldValue(field, '0').error).toMatch('не меньше 1');
+    expect(parseFieldValue(field, 'сто запросов').error).toBe('Значение должно быть числом');
+  });
+
+  test('parses checkbox answers by their first word', () => {
+    const field = { type: 'checkbox' };
+
+    expect(parseFieldValue(field, 'Да, нужен')).toEqual({ value: true, error: null });
+    expect(parseFieldValue(field, 'no.')).toEqual({ value: false, error: null });
+    expect(parseFieldValue(field, 'возможно').error).toBeTruthy();
+  });
+
+  test('matches select options by value or label', () => {
+    expect(parseFieldValue(priority, 'Высокий')).toEqual({ value: 'high', error: null });
+    expect(parseFieldValue(priority, '`LOW`')).toEqual({ value: 'low', error: null });
+    expect(parseFieldValue(priority, 'средний').error).toMatch('Нет такого варианта');
+  });
+
+  test('splits multiselect lists', () => {
+    const field = { ...priority, type: 'multiselect' };
+
+    expect(parseFieldValue(field, '- Высокий\n- low')).toEqual({ value: ['high', 'low'], error: null });
+    expect(parseFieldValue(field, 'high; medium').error).toMatch('medium');
+  });
+
+  test('strips code fences and checks aiValidation.pattern', () => {
+    const field = { type: 'text', aiValidation: { pattern: '^v\\d+$', errorMessage: 'Формат: v1, v2, ...' } };
+
+    expect(parseFieldValue(field, '```\nv2\n```')).toEqual({ value: 'v2', error: null });
+    expect(parseFieldValue(field, 'версия 2')).toEqual({ value: 'версия 2', error: 'Формат: v1, v2, ...' });
+    expect(parseFieldValue(field, '  ').error).toBe('Пустое значение');
+  });
+});
+
+describe('RAGEngine.generateFieldValue', () => {
+  const createEngine = (answers, config = {}) => {
+    const rag = new RAGEngine({ vectorStore: 'memory', embeddingProvider: 'local', embeddingCache: false, ...config });
+    const create = jest.fn();
+    for (const text of answers) {
+      create.mockResolvedValueOnce({ content: [{ text }] });
+    }
+    rag.anthropic = { messages: { create } };
+    return { rag, create };
+  };
+
+  test('returns a typed value', async () => {
+    const { rag } = createEngine(['Низкий']);
+
+    await expect(rag.generateFieldValue(priority, {})).resolves
+      .toEqual({ value: 'low', status: 'valid', error: null, attempts: 1 });
+  });
+
+  test('re-requests an invalid answer with the validation error', async () => {
+    const { rag, create } = createEngine(['Средний', 'high']);
+
+    const result = await rag.generateFieldValue(priority, {});
+
+    expect(result).toMatchObject({ value: 'high', status: 'valid', attempts: 2 });
+    const { messages } = create.mock.calls[1][0];
+    expect(messages.slice(1)).toEqual([
+      { role: 'assistant', content: 'Средний' },
+      { role: 'user', content: expect.stringContaining('Нет такого варианта: Средний') }
+    ]);
+  });
+
+  test('gives up after autofillRetries', async () => {
+    const { rag, create } = createEngine(['много', 'очень много'], { autofillRetries: 1 });
+
+    const result = await rag.generateFieldValue({ id: 'limit', label: 'Лимит', type: 'number' }, {});
+
+    expect(result).toEqual({ value: 'очень много', status: 'invalid', error: 'Значение должно быть числом', attempts: 2 });
+    expect(create).toHaveBeenCalledTimes(2);
+  });
+
+  test('passes false and 0 prerequisites to the prompt', async () => {
+    const { rag, create } = createEngine(['Низкий']);
+
+    await rag.generateFieldValue({ ...priority, aiDependsOn: ['public', 'limit'] }, { public: false, limit: 0 });
+
+    expect(create.mock.calls[0][0].messages[0].content).toContain('"public": false');
+    expect(create.mock.calls[0][0].messages[0].content).toContain('"limit": 0');
+  });
+});
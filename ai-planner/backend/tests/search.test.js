@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const ChunkingEngine = require('../src/services/chunking-engine');
+const RAGEngine = require('../src/services/rag-engine');
+const { buildWhere, filterMetadata } = require('../src/services/search-filters');
+const { matchesWhere } = require('../src/services/vector-stores/filters');
+
+const template = JSON.parse(fs.readFileSync(path.join(__dirname, '../../templates/examples/api-documentation.json'), 'utf8'));
+
+// Движки подробно логируют каждый шаг
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const createEngine = (config = {}) => new RAGEngine({
+  vectorStore: 'memory',
+  embeddingProvider: 'local',
+  embeddingCache: false,
+  ...config
+});
+
+describe('where filters', () => {
+  const metadata = {
+    templateId: 'template-api-docs-001',
+    tags: 'api,auth',
+    ...filterMetadata({
+      tags: ['api', 'auth'],
+      sections: ['Аутентификация', 'OAuth'],
+      fieldTypes: ['select', 'text'],
+      hasRequired: true,
+      category: 'documentation'
+    })
+  };
+  const matches = options => matchesWhere(metadata, buildWhere(options));
+
+  test('match tags, sections, field types, required fields and category', () => {
+    expect(matches({ templateId: 'template-api-docs-001', filters: { tags: { all: ['api', 'auth'] } } })).toBe(true);
+    expect(matches({ filters: { tags: { any: ['billing', 'auth'] } } })).toBe(true);
+    expect(matches({ filters: { section: 'OAuth', fieldType: ['number', 'select'] } })).toBe(true);
+    expect(matches({ filters: { requiredOnly: true, category: ['documentation', 'guide'] } })).toBe(true);
+  });
+
+  test('reject records missing any of the conditions', () => {
+    expect(matches({ templateId: 'other-template' })).toBe(false);
+    expect(matches({ filters: { tags: { all: ['api', 'billing'] } } })).toBe(false);
+    expect(matches({ filters: { section: 'Webhooks' } })).toBe(false);
+    expect(matches({ filters: { fieldType: 'number' } })).toBe(false);
+    expect(matches({ filters: { category: 'guide' } })).toBe(false);
+  });
+
+  test('support $contains on comma-separated lists and $or', () => {
+    expect(matchesWhere(metadata, { tags: { $contains: ['auth', 'api'] } })).toBe(true);
+    expect(matchesWhere(metadata, { tags: { $contains: 'billing' } })).toBe(false);
+    expect(matchesWhere(metadata, { $or: [{ 'tag:billing': true }, { hasRequired: true }] })).toBe(true);
+  });
+});
+
+describe('reciprocal rank fusion', () => {
+  const rag = createEngine({ rrfK: 60 });
+  const hit = (id, extra) => ({ id, metadata: { chunkId: id, title: id }, document: id, ...extra });
+
+  test('ranks hits found by both signals first and keeps each score', () => {
+    const results = rag.fuseResults(
+      [hit('a', { distance: 0.1 }), hit('b', { distance: 0.4 })],
+      [hit('b', { score: 4 }), hit('c', { score: 2 })],
+      'hybrid'
+    );
+
+    expect(results.map(r => r.id)).toEqual(['b', 'a', 'c']);
+    expect(results[0].scores.fused).toBeCloseTo(1 / 62 + 1 / 61);
+    expect(results[1].scores).toMatchObject({ keyword: null, fused: 1 / 61 });
+    expect(results[2]).toMatchObject({ distance: null, relevance: 0.5 });
+  });
+
+  test('keeps the order of a single signal outside hybrid mode', () => {
+    const results = rag.fuseResults([hit('a', { distance: 0.1 }), hit('b', { distance: 0.4 })], [], 'vector');
+
+    expect(results.map(r => r.id)).toEqual(['a', 'b']);
+    expect(results[0].scores.fused).toBeNull();
+  });
+});
+
+describe('RAGEngine.searchChunks', () => {
+  const rag = createEngine();
+  const { chunks } = new ChunkingEngine({ maxChunkSize: 60, minChunkSize: 10 }).chunkTemplate(template);
+
+  beforeAll(async () => {
+    await rag.indexChunks(chunks, template.id, { fields: true, category: template.metadata.category });
+  });
+
+  test.each(['vector', 'keyword', 'hybrid'])('filters %s results by section', async mode => {
+    const { results } = await rag.searchChunks('лимит запросов в минуту', {
+      mode,
+      topK: 5,
+      filters: { section: 'Rate Limiting' }
+    });
+
+    expect(results.length).toBeGreaterThan(0);
+    expect(results.every(r => r.path.startsWith('Rate Limiting'))).toBe(true);
+  });
+
+  test('finds nothing for another template', async () => {
+    const { results } = await rag.searchChunks('webhook', { templateId: 'other-template', mode: 'hybrid' });
+
+    expect(results).toEqual([]);
+  });
+
+  test('hybrid search ranks the matching section first', async () => {
+    const { results } = await rag.searchChunks('Webhooks события подписка', { mode: 'hybrid', topK: 3 });
+
+    expect(results[0].path).toBe('Webhooks');
+    expect(results[0].scores.keyword).toBeGreaterThan(0);
+  });
+});
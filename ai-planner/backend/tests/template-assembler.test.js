@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+process.env.VECTOR_STORE = 'memory';
+process.env.EMBEDDING_PROVIDER = 'local';
+
+const ChunkingEngine = require('../src/services/chunking-engine');
+const TemplateAssembler = require('../src/services/template-assembler');
+
+const source = fs.readFileSync(path.join(__dirname, '../../templates/examples/api-documentation.json'), 'utf8');
+const template = JSON.parse(source);
+
+const chunkModes = {
+  'whole sections': {},
+  'split by lines': { maxChunkSize: 60, minChunkSize: 10 },
+  'split by tokens': { chunkBy: 'tokens', targetTokensPerChunk: 300, minTokensPerChunk: 50 }
+};
+
+// Движки подробно логируют каждый шаг
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+describe('TemplateAssembler', () => {
+  const assembler = new TemplateAssembler();
+
+  test.each(Object.entries(chunkModes))('assembles the original template back (%s)', (mode, config) => {
+    const chunked = new ChunkingEngine(config).chunkTemplate(template, { source });
+
+    expect(assembler.assemble(chunked)).toEqual(template);
+  });
+
+  test('applies an edit of a part of a split section', () => {
+    const chunked = new ChunkingEngine(chunkModes['split by lines']).chunkTemplate(template, { source });
+    const chunk = chunked.chunks.find(c => c.content.sections[0].id === 'section-003-part-2');
+    const sections = structuredClone(chunk.content.sections);
+    const field = sections[0].fields[0];
+    field.label = `${field.label} (изменено)`;
+
+    const { template: edited, changes } = assembler.applyEdits(chunked, [
+      { id: chunk.id, contentHash: chunk.contentHash, content: { sections } }
+    ]);
+
+    const section = edited.sections.find(s => s.id === 'section-003');
+    expect(section.fields).toHaveLength(template.sections[2].fields.length);
+    expect(section.fields.find(f => f.id === field.id).label).toBe(field.label);
+    expect(changes.updated).toEqual([field.id]);
+  });
+
+  test('rejects edits made from a stale or unknown version', () => {
+    const chunked = new ChunkingEngine().chunkTemplate(template, { source });
+    const chunk = chunked.chunks[0];
+    const content = { sections: chunk.content.sections };
+
+    const codes = edits => {
+      try {
+        assembler.applyEdits(chunked, edits);
+      } catch (error) {
+        return error.conflicts.map(conflict => conflict.code);
+      }
+      return [];
+    };
+
+    expect(codes([{ id: chunk.id, contentHash: 'outdated', content }])).toEqual(['stale-chunk']);
+    expect(codes([{ id: chunk.id, content }])).toEqual(['invalid-edit']);
+    expect(codes([{ id: 'chunk-missing', contentHash: chunk.contentHash, content }])).toEqual(['unknown-chunk']);
+  });
+});
+
+describe('POST /api/templates/assemble', () => {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.use('/api', require('../src/routes/api'));
+
+  const chunked = new ChunkingEngine({ maxChunkSize: 500, minChunkSize: 100 }).chunkTemplate(template, { source });
+  const chunk = chunked.chunks[0];
+
+  test('assembles the chunked template', async () => {
+    const response = await request(app)
+      .post('/api/templates/assemble')
+      .send({ template: chunked });
+
+    expect(response.status).toBe(200);
+    expect(response.body.template).toEqual(template);
+  });
+
+  test('responds 409 with conflicts for a stale edit', async () => {
+    const response = await request(app)
+      .post('/api/templates/assemble')
+      .send({
+        template: chunked,
+        edits: [{ id: chunk.id, contentHash: 'outdated', content: { sections: chunk.content.sections } }]
+      });
+
+    expect(response.status).toBe(409);
+    expect(response.body.conflicts).toEqual([
+      expect.objectContaining({ code: 'stale-chunk', pointer: chunk.pointer })
+    ]);
+  });
+
+  test('responds 400 without chunks or sections', async () => {
+    const response = await request(app)
+      .post('/api/templates/assemble')
+      .send({ template: {} });
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -2,35 +2,111 @@
  * AI Assistant Component
  *
  * Компонент AI помощника для:
- * - Ответов на вопросы пользователей
- * - Автозаполнения полей
+ * - Ответов на вопросы пользователей (разговор сохраняется на сервере)
+ * - Автозаполнения полей: обязательные поля заполняются одним действием,
+ *   каждое значение передаётся в onAutoFill(fieldId, value)
  * - Семантического поиска по шаблону
+ *
+ * Ссылки в ответе ([1], [1:field-id]) ведут к разделу или полю формы:
+ * по умолчанию элемент ищется по data-field-id / data-pointer (JSON Pointer
+ * узла в шаблоне), прокручивается в видимую область и подсвечивается.
+ * onCitationClick заменяет это поведение.
+ */
+
+import React, { useRef, useState } from 'react';
+import {
+  askQuestionStream,
+  autoFillBatch,
+  deleteConversation,
+  getConversation,
+  listConversations,
+  searchChunks
+} from '../services/api';
+
+// Маркер ссылки в ответе: [3] или [3:field-id]
+const CITATION_PATTERN = /\[(\d+)(?::([\w.-]+))?\]/g;
+
+/**
+ * Ссылка по маркеру: источник и, для [N:field-id], его поле
+ * @returns {Object|null} { index, chunkId, title, path, pointer, fieldId?, label? }
+ */
+const resolveCitation = (sources, number, fieldId) => {
+  const source = (sources || []).find(s => s.index === Number(number));
+  if (!source) return null;
+
+  const citation = {
+    index: source.index,
+    chunkId: source.chunkId,
+    title: source.title,
+    path: source.path,
+    pointer: source.pointer
+  };
+  if (!fieldId) return citation;
+
+  const field = (source.fields || []).find(f => f.id === fieldId);
+  return field
+    ? { ...citation, fieldId, label: field.label, path: field.path || source.path, pointer: field.pointer || source.pointer }
+    : null;
+};
+
+/**
+ * Прокрутка к разделу или полю формы и временная подсветка
  */
+const highlightCitation = (citation) => {
+  const selectors = [
+    citation.fieldId && `[data-field-id="${CSS.escape(citation.fieldId)}"]`,
+    citation.pointer && `[data-pointer="${CSS.escape(citation.pointer)}"]`
+  ].filter(Boolean);
+  const element = selectors.map(selector => document.querySelector(selector)).find(Boolean);
+  if (!element) return;
 
-import React, { useState } from 'react';
-import { askQuestion, searchChunks } from '../services/api';
+  const highlight = ['ring-2', 'ring-purple-500', 'ring-offset-2'];
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  element.classList.add(...highlight);
+  setTimeout(() => element.classList.remove(...highlight), 2000);
+};
 
-const AIAssistant = ({ template, formData, onAutoFill }) => {
+const AIAssistant = ({ template, formData, onAutoFill, onCitationClick = highlightCitation }) => {
   const [isOpen, setIsOpen] = useState(false);
   const [question, setQuestion] = useState('');
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(false);
   const [searchResults, setSearchResults] = useState(null);
+  const [sessionId, setSessionId] = useState(null);
+  const [conversations, setConversations] = useState(null);
+  const abortRef = useRef(null);
 
   // Быстрые вопросы
   const quickQuestions = [
     { icon: '💡', text: 'Какие поля обязательные?', query: 'Какие поля обязательные для заполнения?' },
     { icon: '✨', text: 'Помоги заполнить форму', query: 'Как правильно заполнить эту форму?' },
     { icon: '🔍', text: 'Найти раздел', query: '' }, // Откроет поиск
-    { icon: '📚', text: 'Покажи примеры', query: 'Покажи примеры заполнения полей' }
+    { icon: '📚', text: 'Покажи примеры', query: 'Покажи примеры заполнения полей' },
+    { icon: '🪄', text: 'Заполнить обязательные', query: '' } // Автозаполнение
   ];
 
+  // Обновление сообщения, которое приходит потоком
+  const updateMessage = (messageId, update) => {
+    setMessages(prev => prev.map(msg => (msg.id === messageId ? { ...msg, ...update(msg) } : msg)));
+  };
+
   const handleAskQuestion = async () => {
     if (!question.trim()) return;
 
     setLoading(true);
     const userMessage = { role: 'user', content: question };
-    setMessages(prev => [...prev, userMessage]);
+    const messageId = Date.now();
+    setMessages(prev => [
+      ...prev,
+      userMessage,
+      { id: messageId, role: 'assistant', content: '', streaming: true }
+    ]);
+
+    // Ответ приходит потоком: сначала источники, затем текст по частям
+    const updateAnswer = update => updateMessage(messageId, update);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
 
     try {
       const context = {
@@ -39,30 +115,158 @@ const AIAssistant = ({ template, formData, onAutoFill }) => {
         templateDescription: template.description
       };
 
-      const response = await askQuestion(question, context);
-
-      const aiMessage = {
-        role: 'assistant',
-        content: response.answer,
-        sources: response.sources,
-        confidence: response.confidence
-      };
+      const response = await askQuestionStream(question, context, {
+        sessionId,
+        formData,
+        onSession: setSessionId,
+        onFormState: formState => updateAnswer(() => ({ formState })),
+        onSources: sources => updateAnswer(() => ({ sources })),
+        onToken: text => updateAnswer(msg => ({ content: msg.content + text })),
+        signal: controller.signal
+      });
 
-      setMessages(prev => [...prev, aiMessage]);
+      updateAnswer(() => ({ streaming: false, confidence: response.confidence }));
       setQuestion('');
     } catch (error) {
+      // Новая сессия сохраняется только с первым ответом
+      if (!sessionId) setSessionId(null);
+
+      if (error.name === 'AbortError') {
+        updateAnswer(() => ({ streaming: false, cancelled: true }));
+        return;
+      }
+
       console.error('AI Error:', error);
-      const errorMessage = {
-        role: 'assistant',
+      updateAnswer(() => ({
         content: '❌ Произошла ошибка. Попробуйте переформулировать вопрос или проверьте настройки API.',
+        streaming: false,
         error: true
-      };
-      setMessages(prev => [...prev, errorMessage]);
+      }));
+    } finally {
+      abortRef.current = null;
+      setLoading(false);
+    }
+  };
+
+  // Обязательные поля и поля с aiAutoFill заполняются по очереди: сервер
+  // учитывает aiDependsOn, прогресс показывается в чате
+  const handleAutoFillRequired = async () => {
+    setLoading(true);
+    const messageId = Date.now();
+    setMessages(prev => [
+      ...prev,
+      { role: 'user', content: 'Заполни обязательные поля' },
+      { id: messageId, role: 'assistant', content: '', streaming: true }
+    ]);
+    const updateProgress = update => updateMessage(messageId, update);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    try {
+      const summary = await autoFillBatch(template.id, {
+        formData,
+        onPlan: ({ fields, skipped }) => {
+          // Сверх лимита сервера: заполнятся при повторном запуске
+          const deferred = skipped.filter(item => item.reason === 'limit').length;
+          updateProgress(() => ({
+            content: fields.length > 0
+              ? `Заполняю полей: ${fields.length}${deferred > 0 ? ` (ещё ${deferred} - при следующем запуске)` : ''}\n`
+              : 'Все обязательные поля уже заполнены\n'
+          }));
+        },
+        onField: (result) => {
+          if (result.status === 'filled' && onAutoFill) {
+            onAutoFill(result.fieldId, result.value);
+          }
+          updateProgress(msg => ({
+            content: msg.content + (result.status === 'filled'
+              ? `✅ ${result.label}\n`
+              : `⚠️ ${result.label}: ${result.error}\n`)
+          }));
+        },
+        signal: controller.signal
+      });
+
+      updateProgress(msg => ({
+        content: `${msg.content}\nГотово: заполнено ${summary.filled}, не прошло проверку ${summary.invalid}, с ошибкой ${summary.failed}`,
+        streaming: false
+      }));
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        updateProgress(() => ({ streaming: false, cancelled: true }));
+        return;
+      }
+
+      console.error('AutoFill Error:', error);
+      updateProgress(() => ({
+        content: `❌ Не удалось заполнить поля: ${error.message}`,
+        streaming: false,
+        error: true
+      }));
+    } finally {
+      abortRef.current = null;
+      setLoading(false);
+    }
+  };
+
+  const handleCancel = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  // Разговоры: новый, список сохранённых, продолжение и удаление
+  const handleNewConversation = () => {
+    setSessionId(null);
+    setMessages([]);
+    setConversations(null);
+    setSearchResults(null);
+  };
+
+  const handleShowConversations = async () => {
+    setLoading(true);
+    try {
+      const response = await listConversations(template.id);
+      setSearchResults(null);
+      setConversations(response.conversations);
+    } catch (error) {
+      console.error('Conversations Error:', error);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleOpenConversation = async (id) => {
+    setLoading(true);
+    try {
+      const { conversation } = await getConversation(id);
+      setSessionId(conversation.id);
+      setMessages(conversation.messages.map(({ role, content, sources, confidence }) => ({
+        role,
+        content,
+        sources,
+        confidence
+      })));
+      setConversations(null);
+    } catch (error) {
+      console.error('Conversations Error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDeleteConversation = async (id) => {
+    try {
+      await deleteConversation(id);
+      setConversations(prev => prev.filter(conversation => conversation.id !== id));
+      if (id === sessionId) {
+        setSessionId(null);
+        setMessages([]);
+      }
+    } catch (error) {
+      console.error('Conversations Error:', error);
+    }
+  };
+
   const handleQuickQuestion = async (quickQ) => {
     if (quickQ.icon === '🔍') {
       // Открыть режим поиска
@@ -70,6 +274,11 @@ const AIAssistant = ({ template, formData, onAutoFill }) => {
       return;
     }
 
+    if (quickQ.icon === '🪄') {
+      handleAutoFillRequired();
+      return;
+    }
+
     setQuestion(quickQ.query);
     setTimeout(() => handleAskQuestion(), 100);
   };
@@ -81,7 +290,8 @@ const AIAssistant = ({ template, formData, onAutoFill }) => {
     try {
       const response = await searchChunks(query, {
         topK: 5,
-        templateId: template.id
+        templateId: template.id,
+        fields: true
       });
 
       setSearchResults(response.results);
@@ -92,6 +302,37 @@ const AIAssistant = ({ template, formData, onAutoFill }) => {
     }
   };
 
+  // Пока ответ не начал поступать, показываем индикатор загрузки
+  const answerStarted = messages.some(msg => msg.streaming && msg.content);
+
+  // Текст ответа с маркерами-ссылками; маркеры без источника остаются текстом
+  const renderContent = (msg) => {
+    if (msg.role !== 'assistant' || !msg.sources) return msg.content;
+
+    const parts = [];
+    let last = 0;
+    for (const match of msg.content.matchAll(CITATION_PATTERN)) {
+      const citation = resolveCitation(msg.sources, match[1], match[2]);
+      if (!citation) continue;
+
+      parts.push(msg.content.slice(last, match.index));
+      parts.push(
+        <button
+          key={match.index}
+          className="text-purple-600 hover:text-purple-800 hover:underline align-super text-xs"
+          onClick={() => onCitationClick(citation)}
+          title={citation.label ? `${citation.path} › ${citation.label}` : citation.path}
+        >
+          {match[0]}
+        </button>
+      );
+      last = match.index + match[0].length;
+    }
+    parts.push(msg.content.slice(last));
+
+    return parts;
+  };
+
   const formatConfidence = (confidence) => {
     const percent = Math.round(confidence * 100);
     if (percent >= 80) return `🟢 ${percent}%`;
@@ -117,15 +358,31 @@ const AIAssistant = ({ template, formData, onAutoFill }) => {
           <div className="bg-gradient-to-r from-purple-600 to-blue-600 text-white p-4">
             <div className="flex items-center gap-3">
               <span className="text-2xl">🤖</span>
-              <div>
+              <div className="flex-1">
                 <h3 className="font-bold text-lg">AI Помощник</h3>
                 <p className="text-xs opacity-90">Powered by Claude 3.5 Sonnet</p>
               </div>
+              <button
+                className="text-lg opacity-90 hover:opacity-100 disabled:opacity-50"
+                onClick={handleShowConversations}
+                disabled={loading}
+                title="История разговоров"
+              >
+                🗂️
+              </button>
+              <button
+                className="text-lg opacity-90 hover:opacity-100 disabled:opacity-50"
+                onClick={handleNewConversation}
+                disabled={loading}
+                title="Новый разговор"
+              >
+                ➕
+              </button>
             </div>
           </div>
 
           {/* Быстрые действия */}
-          {messages.length === 0 && !searchResults && (
+          {messages.length === 0 && !searchResults && !conversations && (
             <div className="p-4 bg-gray-50 border-b">
               <p className="text-sm text-gray-600 mb-3">Чем могу помочь?</p>
               <div className="grid grid-cols-2 gap-2">
@@ -145,14 +402,14 @@ const AIAssistant = ({ template, formData, onAutoFill }) => {
 
           {/* Сообщения */}
           <div className="flex-1 overflow-y-auto p-4 space-y-4">
-            {messages.length === 0 && !searchResults && (
+            {messages.length === 0 && !searchResults && !conversations && (
               <div className="text-center text-gray-400 py-8">
                 <p className="text-4xl mb-2">💬</p>
                 <p className="text-sm">Задайте вопрос или выберите<br />быстрое действие выше</p>
               </div>
             )}
 
-            {messages.map((msg, idx) => (
+            {!conversations && messages.map((msg, idx) => msg.streaming && !msg.content ? null : (
               <div
                 key={idx}
                 className={`flex gap-2 ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}
@@ -172,15 +429,35 @@ const AIAssistant = ({ template, formData, onAutoFill }) => {
                       : 'bg-gray-100 text-gray-900'
                   }`}
                 >
-                  <p className="text-sm whitespace-pre-wrap">{msg.content}</p>
+                  <p className="text-sm whitespace-pre-wrap">
+                    {renderContent(msg)}
+                    {msg.streaming && <span className="animate-pulse">▍</span>}
+                  </p>
+
+                  {msg.formState && (
+                    <p className="mt-2 text-xs text-gray-500">
+                      📋 Обязательные поля: {msg.formState.requiredFilled} из {msg.formState.required}
+                      {msg.formState.invalid.length > 0 && ` · ⚠️ ошибок: ${msg.formState.invalid.length}`}
+                    </p>
+                  )}
+
+                  {msg.cancelled && (
+                    <p className="mt-1 text-xs text-gray-500">⏹️ Остановлено</p>
+                  )}
 
                   {msg.sources && msg.sources.length > 0 && (
                     <div className="mt-2 pt-2 border-t border-gray-300">
                       <p className="text-xs text-gray-600 mb-1">📚 Источники:</p>
                       {msg.sources.map((source, i) => (
-                        <div key={i} className="text-xs text-gray-500">
-                          • {source.title} ({Math.round(source.relevance * 100)}%)
-                        </div>
+                        <button
+                          key={i}
+                          className="block text-left text-xs text-gray-500 hover:text-purple-700"
+                          onClick={() => source.index !== undefined && onCitationClick(resolveCitation(msg.sources, source.index))}
+                          title={source.path}
+                        >
+                          • {source.index !== undefined && `[${source.index}] `}{source.title}{' '}
+                          {source.linkedFrom ? '(🔗 связанный раздел)' : `(${Math.round(source.relevance * 100)}%)`}
+                        </button>
                       ))}
                     </div>
                   )}
@@ -200,6 +477,47 @@ const AIAssistant = ({ template, formData, onAutoFill }) => {
               </div>
             ))}
 
+            {/* Сохранённые разговоры */}
+            {conversations && (
+              <div className="space-y-2">
+                <p className="text-sm font-medium text-gray-700">Разговоры:</p>
+                {conversations.length === 0 && (
+                  <p className="text-xs text-gray-500">Сохранённых разговоров пока нет</p>
+                )}
+                {conversations.map(conversation => (
+                  <div
+                    key={conversation.id}
+                    className={`p-3 border rounded-lg flex items-center gap-2 ${
+                      conversation.id === sessionId ? 'bg-purple-50 border-purple-300' : 'bg-white border-gray-200'
+                    }`}
+                  >
+                    <button
+                      className="flex-1 text-left"
+                      onClick={() => handleOpenConversation(conversation.id)}
+                    >
+                      <h4 className="font-medium text-sm">{conversation.title}</h4>
+                      <p className="text-xs text-gray-500">
+                        {new Date(conversation.updatedAt).toLocaleString()} · вопросов: {conversation.turns}
+                      </p>
+                    </button>
+                    <button
+                      className="text-xs text-gray-400 hover:text-red-600"
+                      onClick={() => handleDeleteConversation(conversation.id)}
+                      title="Удалить разговор"
+                    >
+                      🗑️
+                    </button>
+                  </div>
+                ))}
+                <button
+                  className="text-sm text-purple-600 hover:text-purple-700"
+                  onClick={() => setConversations(null)}
+                >
+                  ← Назад к чату
+                </button>
+              </div>
+            )}
+
             {/* Результаты поиска */}
             {searchResults && (
               <div className="space-y-2">
@@ -212,12 +530,27 @@ const AIAssistant = ({ template, formData, onAutoFill }) => {
                     <div className="flex items-center justify-between mb-1">
                       <h4 className="font-medium text-sm">{result.title}</h4>
                       <span className="text-xs text-gray-500">
-                        {Math.round(result.relevance * 100)}%
+                        {Math.round((result.relevance ?? result.fields?.[0]?.relevance ?? 0) * 100)}%
                       </span>
                     </div>
-                    <p className="text-xs text-gray-600 line-clamp-2">
-                      {result.content.slice(0, 100)}...
-                    </p>
+                    {result.fields?.length > 0 ? (
+                      <ul className="space-y-1">
+                        {result.fields.map(field => (
+                          <li key={field.fieldId} className="text-xs text-gray-700">
+                            <span className="font-medium">{field.label}</span>
+                            {field.required && <span className="text-red-500"> *</span>}
+                            <span className="text-gray-500"> · {field.path} · {field.type}</span>
+                            {field.aiHints.length > 0 && (
+                              <p className="text-gray-500">💡 {field.aiHints[0]}</p>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <p className="text-xs text-gray-600 line-clamp-2">
+                        {result.content.slice(0, 100)}...
+                      </p>
+                    )}
                   </div>
                 ))}
                 <button
@@ -229,7 +562,7 @@ const AIAssistant = ({ template, formData, onAutoFill }) => {
               </div>
             )}
 
-            {loading && (
+            {loading && !answerStarted && (
               <div className="flex items-center gap-2 text-gray-500">
                 <div className="w-8 h-8 rounded-full bg-gradient-to-r from-purple-600 to-blue-600 flex items-center justify-center flex-shrink-0">
                   <span className="text-white text-sm">🤖</span>
@@ -261,13 +594,23 @@ const AIAssistant = ({ template, formData, onAutoFill }) => {
                 }}
                 disabled={loading}
               />
-              <button
-                className="bg-purple-600 text-white rounded-lg px-4 py-2 hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                onClick={searchResults ? () => handleSearch(question) : handleAskQuestion}
-                disabled={loading || !question.trim()}
-              >
-                {searchResults ? '🔍' : '📤'}
-              </button>
+              {loading && !searchResults ? (
+                <button
+                  className="bg-gray-600 text-white rounded-lg px-4 py-2 hover:bg-gray-700 transition-colors"
+                  onClick={handleCancel}
+                  title="Остановить ответ"
+                >
+                  ⏹️
+                </button>
+              ) : (
+                <button
+                  className="bg-purple-600 text-white rounded-lg px-4 py-2 hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  onClick={searchResults ? () => handleSearch(question) : handleAskQuestion}
+                  disabled={loading || !question.trim()}
+                >
+                  {searchResults ? '🔍' : '📤'}
+                </button>
+              )}
             </div>
             <p className="text-xs text-gray-500 mt-2 text-center">
               AI может делать ошибки. Проверяйте важную информацию.
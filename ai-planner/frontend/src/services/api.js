@@ -52,35 +52,152 @@ async function fetchAPI(endpoint, options = {}) {
   }
 }
 
+/**
+ * POST-запрос с ответом потоком Server-Sent Events
+ * @param {string} endpoint
+ * @param {Object} body
+ * @param {AbortSignal} [signal]
+ * @param {Function} onEvent - (event, payload) для каждого события;
+ *   событие error отклоняет промис с APIError
+ * @returns {Promise<void>} Когда поток закончился
+ */
+async function fetchEventStream(endpoint, body, signal, onEvent) {
+  let response;
+  try {
+    response = await fetch(`${API_URL}${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new APIError('Network error or server unavailable', 0, error.message);
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new APIError(data.error || 'API request failed', response.status, data.details);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  // Значение поля SSE: после двоеточия снимается только один пробел
+  const fieldValue = (line, name) => {
+    const value = line.slice(name.length + 1);
+    return value.startsWith(' ') ? value.slice(1) : value;
+  };
+
+  // Событие SSE: строки "event: ..." и "data: ...", события разделены пустой строкой;
+  // несколько строк data: склеиваются через перевод строки
+  const handleEvent = (block) => {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = fieldValue(line, 'event');
+      else if (line.startsWith('data:')) data.push(fieldValue(line, 'data'));
+    }
+    if (data.length === 0 || data.join('') === '') return;
+
+    const payload = JSON.parse(data.join('\n'));
+    if (event === 'error') {
+      throw new APIError(payload.error, 500, payload.details);
+    }
+    onEvent(event, payload);
+  };
+
+  // Ошибка в обработчике (событие error, битый JSON) прерывает чтение -
+  // поток закрывается, чтобы не держать соединение открытым
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        handleEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
 /**
  * Разбиение шаблона на чанки
  * @param {Object} template
+ * @param {string} [source] - Исходный текст файла шаблона (для номеров строк)
  * @returns {Promise<Object>}
  */
-export async function chunkTemplate(template) {
+export async function chunkTemplate(template, source) {
   return fetchAPI('/api/chunk', {
+    method: 'POST',
+    body: JSON.stringify({ template, source })
+  });
+}
+
+/**
+ * Проверка шаблона (схема, ссылки aiDependsOn, regex, options)
+ * @param {Object} template
+ * @returns {Promise<Object>} { valid, errors, warnings }
+ */
+export async function validateTemplate(template) {
+  return fetchAPI('/api/templates/validate', {
     method: 'POST',
     body: JSON.stringify({ template })
   });
 }
 
+/**
+ * Сборка шаблона из чанков и внесение отредактированных чанков.
+ * При конфликтующих правках сервер отвечает 409 со списком conflicts.
+ * @param {Object} chunkedTemplate - Результат chunkTemplate
+ * @param {Array} [edits] - Отредактированные чанки { id, contentHash, content }
+ * @returns {Promise<Object>} { template, changes }
+ */
+export async function assembleTemplate(chunkedTemplate, edits) {
+  return fetchAPI('/api/templates/assemble', {
+    method: 'POST',
+    body: JSON.stringify({ template: chunkedTemplate, edits })
+  });
+}
+
+/**
+ * Разбиение шаблона и индексация за один шаг
+ * @param {Object} template - Шаблон с id
+ * @param {Object} [options] - { fields: true } индексирует и отдельные поля
+ * @returns {Promise<Object>} { added, updated, removed, unchanged, template, stats }
+ */
+export async function reindexTemplate(template, options = {}) {
+  return fetchAPI(`/api/templates/${encodeURIComponent(template.id)}/reindex`, {
+    method: 'POST',
+    body: JSON.stringify({ template, ...options })
+  });
+}
+
 /**
  * Индексация чанков
  * @param {Array} chunks
  * @param {string} templateId
+ * @param {Object} options - { fields: true } индексирует и отдельные поля
  * @returns {Promise<Object>}
  */
-export async function indexChunks(chunks, templateId) {
+export async function indexChunks(chunks, templateId, options = {}) {
   return fetchAPI('/api/index', {
     method: 'POST',
-    body: JSON.stringify({ chunks, templateId })
+    body: JSON.stringify({ chunks, templateId, ...options })
   });
 }
 
 /**
- * Семантический поиск
+ * Поиск по чанкам
  * @param {string} query
- * @param {Object} options
+ * @param {Object} options - { topK, templateId, mode, fields, filters }
+ *   filters: { tags: { all, any }, section, fieldType, requiredOnly, category }
  * @returns {Promise<Object>}
  */
 export async function searchChunks(query, options = {}) {
@@ -93,13 +210,103 @@ export async function searchChunks(query, options = {}) {
 /**
  * Задать вопрос AI
  * @param {string} question
- * @param {Object} context
- * @returns {Promise<Object>}
+ * @param {Object} context - { templateId, templateName, templateDescription }
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - Продолжить разговор; без него создаётся новый
+ * @param {Object} [options.formData] - Значения формы: ответ учитывает, что заполнено
+ * @returns {Promise<Object>} С sessionId разговора и formState
  */
-export async function askQuestion(question, context = {}) {
+export async function askQuestion(question, context = {}, options = {}) {
   return fetchAPI('/api/ask', {
     method: 'POST',
-    body: JSON.stringify({ question, context })
+    body: JSON.stringify({ question, context, ...options })
+  });
+}
+
+/**
+ * Задать вопрос AI с потоковым ответом (Server-Sent Events)
+ * @param {string} question
+ * @param {Object} context
+ * @param {Object} handlers
+ * @param {string} [handlers.sessionId] - Продолжить разговор; без него создаётся новый
+ * @param {Object} [handlers.formData] - Значения формы: ответ учитывает, что заполнено
+ * @param {Function} [handlers.onSession] - (sessionId) в начале ответа
+ * @param {Function} [handlers.onFormState] - (formState) факты о заполнении формы
+ * @param {Function} [handlers.onSources] - (sources) до начала ответа
+ * @param {Function} [handlers.onToken] - (text) для каждого фрагмента ответа
+ * @param {AbortSignal} [handlers.signal] - Отмена: запрос прерывается, промис
+ *   отклоняется с AbortError
+ * @returns {Promise<Object>} { sessionId, answer, sources, citations, formState, confidence, usage }
+ */
+export async function askQuestionStream(question, context = {}, handlers = {}) {
+  const { sessionId, formData, onSession, onFormState, onSources, onToken, signal } = handlers;
+
+  const result = {
+    sessionId,
+    answer: '',
+    sources: [],
+    citations: [],
+    formState: null,
+    confidence: undefined,
+    usage: null
+  };
+
+  await fetchEventStream('/api/ask/stream', { question, context, sessionId, formData }, signal, (event, payload) => {
+    switch (event) {
+      case 'session':
+        result.sessionId = payload.sessionId;
+        if (onSession) onSession(payload.sessionId);
+        break;
+      case 'formState':
+        result.formState = payload.formState;
+        if (onFormState) onFormState(payload.formState);
+        break;
+      case 'sources':
+        result.sources = payload.sources;
+        if (onSources) onSources(payload.sources);
+        break;
+      case 'token':
+        result.answer += payload.text;
+        if (onToken) onToken(payload.text);
+        break;
+      case 'done':
+        result.citations = payload.citations;
+        result.confidence = payload.confidence;
+        result.usage = payload.usage;
+        break;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Список разговоров с AI помощником
+ * @param {string} [templateId] - Только разговоры по шаблону
+ * @returns {Promise<Object>} { conversations: [{ id, title, updatedAt, turns }] }
+ */
+export async function listConversations(templateId) {
+  const query = templateId ? `?templateId=${encodeURIComponent(templateId)}` : '';
+  return fetchAPI(`/api/conversations${query}`);
+}
+
+/**
+ * Разговор с перепиской
+ * @param {string} sessionId
+ * @returns {Promise<Object>} { conversation: { id, messages, summary } }
+ */
+export async function getConversation(sessionId) {
+  return fetchAPI(`/api/conversations/${sessionId}`);
+}
+
+/**
+ * Удалить разговор
+ * @param {string} sessionId
+ * @returns {Promise<Object>}
+ */
+export async function deleteConversation(sessionId) {
+  return fetchAPI(`/api/conversations/${sessionId}`, {
+    method: 'DELETE'
   });
 }
 
@@ -108,7 +315,8 @@ export async function askQuestion(question, context = {}) {
  * @param {Object} field
  * @param {Object} formData
  * @param {Array} templateChunks
- * @returns {Promise<Object>}
+ * @returns {Promise<Object>} { value, status, error, attempts }: value - значение
+ *   типа поля (число, boolean, массив, строка), status - valid | invalid
  */
 export async function autoFillField(field, formData = {}, templateChunks = []) {
   return fetchAPI('/api/autofill', {
@@ -117,6 +325,44 @@ export async function autoFillField(field, formData = {}, templateChunks = []) {
   });
 }
 
+/**
+ * Пакетное автозаполнение проиндексированного шаблона (Server-Sent Events):
+ * поля заполняются в порядке aiDependsOn, чанки берутся из индекса
+ * @param {string} templateId
+ * @param {Object} options
+ * @param {Object} [options.formData] - Текущие значения формы
+ * @param {string} [options.section] - Только поля раздела (путь "Раздел › Подраздел")
+ * @param {Array<string>} [options.fields] - Только эти поля
+ * @param {string} [options.include='required'] - required - обязательные и
+ *   aiAutoFill, all - все пустые поля
+ * @param {boolean} [options.overwrite] - Перезаписывать заполненные поля
+ * @param {Function} [options.onPlan] - ({ fields, skipped }) до заполнения
+ * @param {Function} [options.onField] - ({ fieldId, label, status, value, error })
+ *   после каждого поля; status - filled | invalid | failed
+ * @param {AbortSignal} [options.signal] - Отмена: оставшиеся поля не заполняются
+ * @returns {Promise<Object>} { filled, invalid, failed, skipped, formData }
+ */
+export async function autoFillBatch(templateId, options = {}) {
+  const { onPlan, onField, signal, ...selection } = options;
+  let summary = null;
+
+  await fetchEventStream('/api/autofill/batch', { templateId, ...selection }, signal, (event, payload) => {
+    switch (event) {
+      case 'plan':
+        if (onPlan) onPlan(payload);
+        break;
+      case 'field':
+        if (onField) onField(payload);
+        break;
+      case 'done':
+        summary = payload;
+        break;
+    }
+  });
+
+  return summary;
+}
+
 /**
  * Удалить индекс шаблона
  * @param {string} templateId
@@ -154,7 +400,8 @@ export async function processLargeTemplate(template, onProgress) {
     onProgress?.({ step: 'indexing', progress: 66, message: 'Индексация чанков...' });
     const indexResult = await indexChunks(
       chunkResult.template.chunks,
-      template.id || 'default'
+      template.id || 'default',
+      { fields: true, category: template.metadata?.category }
     );
 
     onProgress?.({ step: 'complete', progress: 100, message: 'Готово!' });
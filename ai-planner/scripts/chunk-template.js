@@ -4,23 +4,51 @@
  *
  * Использование:
  * node scripts/chunk-template.js --input template.json --output template.chunks.json --chunk-size 500
+ * node scripts/chunk-template.js -i template.json -o template.chunks.json --incremental
+ * node scripts/chunk-template.js validate -i template.json
+ * node scripts/chunk-template.js assemble -i template.chunks.json -o template.json --edits edited-chunks.json
+ * node scripts/chunk-template.js -i templates/ --format markdown -o docs/chunks
+ * node scripts/chunk-template.js -i templates/ --format jsonl --per field -o corpus
  */
 
 const fs = require('fs');
 const path = require('path');
 const ChunkingEngine = require('../backend/src/services/chunking-engine');
+const TemplateValidator = require('../backend/src/services/template-validator');
+const ChunkExporter = require('../backend/src/services/chunk-exporter');
+const TemplateAssembler = require('../backend/src/services/template-assembler');
+const { isTemplateFile, resolveInputs, splitGlob } = require('./lib/input-files');
+
+const COMMANDS = ['chunk', 'validate', 'assemble'];
+const FORMATS = ['json', 'markdown', 'jsonl'];
 
 // Парсинг аргументов командной строки
 function parseArgs() {
   const args = process.argv.slice(2);
   const options = {
+    command: 'chunk',
     input: null,
     output: null,
     chunkSize: 500,
     minChunkSize: 100,
-    overlapSize: 50
+    overlapSize: 50,
+    chunkBy: 'lines',
+    targetTokens: 2000,
+    minTokens: 500,
+    balance: true,
+    previous: null,
+    incremental: false,
+    format: 'json',
+    per: 'chunk',
+    edits: null,
+    json: false
   };
 
+  // Первый позиционный аргумент - команда (по умолчанию chunk)
+  if (COMMANDS.includes(args[0])) {
+    options.command = args.shift();
+  }
+
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
       case '--input':
@@ -40,6 +68,36 @@ function parseArgs() {
       case '--overlap':
         options.overlapSize = parseInt(args[++i], 10);
         break;
+      case '--chunk-by':
+        options.chunkBy = args[++i];
+        break;
+      case '--target-tokens':
+        options.targetTokens = parseInt(args[++i], 10);
+        break;
+      case '--min-tokens':
+        options.minTokens = parseInt(args[++i], 10);
+        break;
+      case '--no-balance':
+        options.balance = false;
+        break;
+      case '--previous':
+        options.previous = args[++i];
+        break;
+      case '--incremental':
+        options.incremental = true;
+        break;
+      case '--format':
+        options.format = args[++i];
+        break;
+      case '--per':
+        options.per = args[++i];
+        break;
+      case '--edits':
+        options.edits = args[++i];
+        break;
+      case '--json':
+        options.json = true;
+        break;
       case '--help':
       case '-h':
         printHelp();
@@ -58,14 +116,30 @@ function printHelp() {
 AI Planner - Template Chunking Script
 
 Usage:
-  node scripts/chunk-template.js [options]
+  node scripts/chunk-template.js [command] [options]
+
+Commands:
+  chunk                      Split template into chunks (default)
+  validate                   Check template against the schema and lint references
+  assemble                   Rebuild the template from a .chunks.json file (optionally with edited chunks)
 
 Options:
-  -i, --input <file>         Input template JSON file (required)
-  -o, --output <file>        Output chunked JSON file (required)
+  -i, --input <path>         Input template JSON file, directory or glob (required)
+  -o, --output <path>        Output file; output directory for directory/glob input
+                             (default for batches: next to each template)
   --chunk-size <number>      Maximum chunk size in lines (default: 500)
   --min-chunk-size <number>  Minimum chunk size in lines (default: 100)
   --overlap <number>         Overlap size for context (default: 50)
+  --chunk-by <mode>          Chunk size unit: lines | tokens (default: lines)
+  --target-tokens <number>   Token budget per chunk for --chunk-by tokens (default: 2000)
+  --min-tokens <number>      Minimum tokens per chunk for --chunk-by tokens (default: 500)
+  --no-balance               Do not even out split sections or merge undersized chunks
+  --previous <file>          Previous .chunks.json to diff against (incremental mode)
+  --incremental              Use the existing output file as --previous
+  --format <format>          Output format: json | markdown | jsonl (default: json)
+  --per <unit>               jsonl: one record per chunk | field (default: chunk)
+  --edits <file>             assemble: JSON array of edited chunks to merge back
+  --json                     validate: print the report as JSON
   -h, --help                 Show this help message
 
 Examples:
@@ -77,6 +151,24 @@ Examples:
 
   # With overlap
   node scripts/chunk-template.js -i template.json -o output.json --overlap 100
+
+  # Re-chunk and report added/changed/removed chunks
+  node scripts/chunk-template.js -i template.json -o template.chunks.json --incremental
+
+  # Token-budgeted chunks for embeddings / prompts
+  node scripts/chunk-template.js -i template.json -o output.json --chunk-by tokens --target-tokens 1500
+
+  # Markdown file per chunk for every template in a directory
+  node scripts/chunk-template.js -i templates/ --format markdown -o docs/chunks
+
+  # JSONL corpus with one record per field
+  node scripts/chunk-template.js -i 'templates/**/*.json' --format jsonl --per field -o corpus
+
+  # Merge edited chunks back into the template (exit code 1 on conflicts)
+  node scripts/chunk-template.js assemble -i template.chunks.json -o template.json --edits edited.json
+
+  # Validate template (exit code 1 on errors)
+  node scripts/chunk-template.js validate -i template.json --json
 `);
 }
 
@@ -86,13 +178,47 @@ function validateOptions(options) {
     process.exit(1);
   }
 
-  if (!options.output) {
+  options.inputs = resolveInputs(options.input, isTemplateFile);
+  options.batch = !fs.statSync(options.input, { throwIfNoEntry: false })?.isFile();
+  options.baseDir = splitGlob(options.input).baseDir;
+
+  if (options.inputs.length === 0) {
+    console.error(`❌ Error: Input file not found: ${options.input}`);
+    process.exit(1);
+  }
+
+  if (!options.output && !options.batch && options.command !== 'validate') {
     console.error('❌ Error: Output file is required (use --output or -o)');
     process.exit(1);
   }
 
-  if (!fs.existsSync(options.input)) {
-    console.error(`❌ Error: Input file not found: ${options.input}`);
+  if (!FORMATS.includes(options.format)) {
+    console.error(`❌ Error: Unknown format: ${options.format} (use ${FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  if (!['chunk', 'field'].includes(options.per)) {
+    console.error(`❌ Error: Unknown JSONL unit: ${options.per} (use chunk or field)`);
+    process.exit(1);
+  }
+
+  if (options.command === 'assemble' && options.batch) {
+    console.error('❌ Error: assemble works with a single .chunks.json file');
+    process.exit(1);
+  }
+
+  if (options.edits && !fs.existsSync(options.edits)) {
+    console.error(`❌ Error: Edits file not found: ${options.edits}`);
+    process.exit(1);
+  }
+
+  if (options.previous && options.batch) {
+    console.error('❌ Error: --previous works with a single input file (use --incremental for batches)');
+    process.exit(1);
+  }
+
+  if (options.previous && !fs.existsSync(options.previous)) {
+    console.error(`❌ Error: Previous chunks file not found: ${options.previous}`);
     process.exit(1);
   }
 
@@ -100,86 +226,300 @@ function validateOptions(options) {
     console.error('❌ Error: Chunk size must be at least 50 lines');
     process.exit(1);
   }
+
+  if (!['lines', 'tokens'].includes(options.chunkBy)) {
+    console.error(`❌ Error: Unknown chunk mode: ${options.chunkBy} (use lines or tokens)`);
+    process.exit(1);
+  }
+
+  if (!(options.targetTokens >= 100)) {
+    console.error('❌ Error: Target tokens must be at least 100');
+    process.exit(1);
+  }
 }
 
-async function main() {
-  console.log('🔧 AI Planner - Template Chunking Tool\n');
+/**
+ * Куда писать результат для входного файла.
+ * Одиночный файл - в --output; в пакетном режиме - в --output как в корень,
+ * повторяя относительный путь, или рядом с шаблоном.
+ */
+function resolveOutput(inputFile, options) {
+  if (!options.batch) {
+    return options.output;
+  }
 
-  const options = parseArgs();
-  validateOptions(options);
+  const relative = path.relative(options.baseDir, inputFile).replace(/\.json$/, '');
+  const target = path.join(options.output || options.baseDir, relative);
 
-  try {
-    // Читаем входной файл
-    console.log(`📖 Reading template: ${options.input}`);
-    const inputContent = fs.readFileSync(options.input, 'utf8');
-    const template = JSON.parse(inputContent);
-
-    console.log(`   Template: ${template.name || 'Unnamed'}`);
-    console.log(`   Sections: ${template.sections?.length || 0}`);
-
-    // Создаём chunking engine
-    const chunker = new ChunkingEngine({
-      maxChunkSize: options.chunkSize,
-      minChunkSize: options.minChunkSize,
-      overlapSize: options.overlapSize
-    });
-
-    console.log(`\n⚙️  Chunking configuration:`);
-    console.log(`   Max chunk size: ${options.chunkSize} lines`);
-    console.log(`   Min chunk size: ${options.minChunkSize} lines`);
-    console.log(`   Overlap: ${options.overlapSize} lines`);
+  return target + { json: '.chunks.json', jsonl: '.chunks.jsonl', markdown: '.chunks' }[options.format];
+}
+
+/**
+ * Предыдущее разбиение для --incremental: выходной файл для json,
+ * соседний .chunks.json для остальных форматов
+ */
+function resolvePrevious(inputFile, outputPath, options) {
+  if (options.previous) {
+    return options.previous;
+  }
+
+  if (!options.incremental) {
+    return null;
+  }
+
+  const candidate = options.format === 'json'
+    ? outputPath
+    : inputFile.replace(/\.json$/, '') + '.chunks.json';
+
+  return fs.existsSync(candidate) ? candidate : null;
+}
+
+function writeOutput(chunkedTemplate, outputPath, options) {
+  const exporter = new ChunkExporter();
+  const outputDir = options.format === 'markdown' ? outputPath : path.dirname(outputPath);
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  if (options.format === 'markdown') {
+    const files = exporter.toMarkdown(chunkedTemplate);
+    for (const file of files) {
+      fs.writeFileSync(path.join(outputPath, file.filename), file.content, 'utf8');
+    }
+    return `${files.length} files`;
+  }
+
+  if (options.format === 'jsonl') {
+    const content = exporter.toJsonl(chunkedTemplate, { per: options.per });
+    fs.writeFileSync(outputPath, content, 'utf8');
+    return `${content.split('\n').filter(Boolean).length} ${options.per} records`;
+  }
+
+  fs.writeFileSync(outputPath, JSON.stringify(chunkedTemplate, null, 2), 'utf8');
+  return `${chunkedTemplate.chunks.length} chunks`;
+}
+
+function runValidate(inputFile, options) {
+  const template = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+  const report = new TemplateValidator().validate(template);
+
+  if (options.json) {
+    return report;
+  }
+
+  console.log(`🔍 Validating template: ${inputFile}\n`);
+
+  for (const error of report.errors) {
+    console.log(`   ❌ [${error.code}] ${error.pointer || '/'}: ${error.message}`);
+  }
+  for (const warning of report.warnings) {
+    console.log(`   ⚠️  [${warning.code}] ${warning.pointer || '/'}: ${warning.message}`);
+  }
+
+  if (report.errors.length + report.warnings.length > 0) {
     console.log('');
+  }
+  console.log(`${report.valid ? '✅ Template is valid' : '❌ Template is invalid'} ` +
+    `(${report.errors.length} errors, ${report.warnings.length} warnings)\n`);
 
-    // Разбиваем на чанки
-    const chunkedTemplate = chunker.chunkTemplate(template);
+  return report;
+}
+
+function runAssemble(options) {
+  console.log(`🧩 Assembling template: ${options.input}`);
+  const chunkedTemplate = JSON.parse(fs.readFileSync(options.input, 'utf8'));
+  const assembler = new TemplateAssembler();
+  let template;
 
-    // Добавляем overlap если нужно
-    if (options.overlapSize > 0) {
-      chunker.addOverlap(chunkedTemplate.chunks);
+  try {
+    if (options.edits) {
+      const edits = JSON.parse(fs.readFileSync(options.edits, 'utf8'));
+      const result = assembler.applyEdits(chunkedTemplate, Array.isArray(edits) ? edits : edits.chunks || []);
+      template = result.template;
+
+      const { added, updated, removed, sections } = result.changes;
+      console.log(`\n✏️  Edits from: ${options.edits}`);
+      console.log(`   Fields added: ${added.length}${added.length ? ` (${added.join(', ')})` : ''}`);
+      console.log(`   Fields updated: ${updated.length}${updated.length ? ` (${updated.join(', ')})` : ''}`);
+      console.log(`   Fields removed: ${removed.length}${removed.length ? ` (${removed.join(', ')})` : ''}`);
+      console.log(`   Sections added: ${sections.added.length}, removed: ${sections.removed.length}`);
+    } else {
+      template = assembler.assemble(chunkedTemplate);
     }
+  } catch (error) {
+    if (!error.conflicts) throw error;
 
-    // Статистика
-    const stats = chunker.getStatistics(chunkedTemplate.chunks);
-
-    console.log('\n📊 Statistics:');
-    console.log(`   Total chunks: ${stats.totalChunks}`);
-    console.log(`   Avg lines per chunk: ${stats.avgLinesPerChunk}`);
-    console.log(`   Min lines: ${stats.minLines}`);
-    console.log(`   Max lines: ${stats.maxLines}`);
-    console.log(`   Total sections: ${stats.totalSections}`);
-    console.log(`   Total fields: ${stats.totalFields}`);
-
-    // Сохраняем результат
-    console.log(`\n💾 Saving to: ${options.output}`);
-    const outputDir = path.dirname(options.output);
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
+    console.error('\n❌ Conflicting edits:');
+    for (const conflict of error.conflicts) {
+      console.error(`   [${conflict.code}] ${conflict.pointer || '/'}: ${conflict.message}`);
     }
+    console.error('');
+    return 1;
+  }
+
+  console.log(`\n💾 Saving to: ${options.output}`);
+  const outputDir = path.dirname(options.output);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  fs.writeFileSync(options.output, JSON.stringify(template, null, 2), 'utf8');
+  console.log(`✅ Done! (${template.sections.length} sections)\n`);
+
+  return 0;
+}
+
+function chunkFile(inputFile, outputPath, chunker, options) {
+  // Читаем входной файл
+  console.log(`📖 Reading template: ${inputFile}`);
+  const inputContent = fs.readFileSync(inputFile, 'utf8');
+  const template = JSON.parse(inputContent);
+
+  console.log(`   Template: ${template.name || 'Unnamed'}`);
+  console.log(`   Sections: ${template.sections?.length || 0}`);
+
+  // Предыдущее разбиение для инкрементального режима
+  let previous = null;
+  const previousPath = resolvePrevious(inputFile, outputPath, options);
+  if (previousPath) {
+    console.log(`\n🔁 Previous chunks: ${previousPath}`);
+    previous = JSON.parse(fs.readFileSync(previousPath, 'utf8'));
+  }
+
+  // Разбиваем на чанки
+  const chunkedTemplate = chunker.chunkTemplate(template, { source: inputContent, previous });
+
+  // Добавляем overlap если нужно
+  if (options.overlapSize > 0) {
+    chunker.addOverlap(chunkedTemplate.chunks);
+  }
 
-    fs.writeFileSync(
-      options.output,
-      JSON.stringify(chunkedTemplate, null, 2),
-      'utf8'
-    );
+  // Статистика
+  const stats = chunker.getStatistics(chunkedTemplate.chunks);
 
-    console.log('✅ Done!\n');
+  console.log('\n📊 Statistics:');
+  console.log(`   Total chunks: ${stats.totalChunks}`);
+  console.log(`   Avg lines per chunk: ${stats.avgLinesPerChunk}`);
+  console.log(`   Min lines: ${stats.minLines}`);
+  console.log(`   Max lines: ${stats.maxLines}`);
+  console.log(`   Avg tokens per chunk: ~${stats.avgTokensPerChunk}`);
+  console.log(`   Min tokens: ~${stats.minTokens}`);
+  console.log(`   Max tokens: ~${stats.maxTokens}`);
+  console.log(`   Total sections: ${stats.totalSections}`);
+  console.log(`   Total fields: ${stats.totalFields}`);
 
-    // Выводим список чанков
-    console.log('📦 Chunks created:');
-    for (const chunk of chunkedTemplate.chunks) {
-      console.log(`   ${chunk.id}: ${chunk.title} (lines ${chunk.startLine}-${chunk.endLine})`);
+  const unit = stats.sizeUnit === 'tokens' ? 'tokens' : 'lines';
+  for (const chunk of stats.undersized) {
+    console.log(`   ⚠️  ${chunk.id} is below the minimum size (${chunk.size} ${unit})`);
+  }
+  for (const chunk of stats.oversized) {
+    console.log(`   ⚠️  ${chunk.id} is above the maximum size (${chunk.size} ${unit})`);
+  }
+
+  if (chunkedTemplate.changes) {
+    const { added, changed, removed, unchanged } = chunkedTemplate.changes;
+    console.log('\n🔁 Changes since previous run:');
+    console.log(`   Added: ${added.length}${added.length ? ` (${added.join(', ')})` : ''}`);
+    console.log(`   Changed: ${changed.length}${changed.length ? ` (${changed.join(', ')})` : ''}`);
+    console.log(`   Removed: ${removed.length}${removed.length ? ` (${removed.join(', ')})` : ''}`);
+    console.log(`   Unchanged: ${unchanged.length}`);
+  }
+
+  // Сохраняем результат
+  console.log(`\n💾 Saving ${options.format} to: ${outputPath}`);
+  const written = writeOutput(chunkedTemplate, outputPath, options);
+  console.log(`✅ Done! (${written})\n`);
+
+  // Выводим список чанков
+  console.log('📦 Chunks created:');
+  for (const chunk of chunkedTemplate.chunks) {
+    console.log(`   ${chunk.id}: ${chunk.title} (${chunk.pointer}, lines ${chunk.startLine}-${chunk.endLine}, ~${chunk.tokenCount} tokens)`);
+  }
+
+  console.log('');
+}
+
+async function main() {
+  const options = parseArgs();
+  validateOptions(options);
+
+  if (options.command === 'validate') {
+    try {
+      const reports = options.inputs.map(inputFile => ({ file: inputFile, ...runValidate(inputFile, options) }));
+      if (options.json) {
+        const output = options.batch ? reports : reports[0];
+        if (!options.batch) delete output.file;
+        console.log(JSON.stringify(output, null, 2));
+      }
+      process.exit(reports.every(report => report.valid) ? 0 : 1);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
     }
+  }
 
-    console.log('');
-    process.exit(0);
-  } catch (error) {
-    console.error('\n❌ Error:', error.message);
-    if (error.stack) {
-      console.error('\nStack trace:');
-      console.error(error.stack);
+  if (options.command === 'assemble') {
+    try {
+      process.exit(runAssemble(options));
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
     }
-    process.exit(1);
   }
+
+  console.log('🔧 AI Planner - Template Chunking Tool\n');
+
+  // Создаём chunking engine
+  const chunker = new ChunkingEngine({
+    maxChunkSize: options.chunkSize,
+    minChunkSize: options.minChunkSize,
+    overlapSize: options.overlapSize,
+    chunkBy: options.chunkBy,
+    targetTokensPerChunk: options.targetTokens,
+    minTokensPerChunk: options.minTokens,
+    balance: options.balance
+  });
+
+  console.log(`⚙️  Chunking configuration:`);
+  console.log(`   Chunk by: ${options.chunkBy}`);
+  if (options.chunkBy === 'tokens') {
+    console.log(`   Target tokens per chunk: ${options.targetTokens}`);
+    console.log(`   Min tokens per chunk: ${options.minTokens}`);
+  }
+  console.log(`   Max chunk size: ${options.chunkSize} lines`);
+  console.log(`   Min chunk size: ${options.minChunkSize} lines`);
+  console.log(`   Overlap: ${options.overlapSize} lines`);
+  console.log(`   Balance: ${options.balance ? 'on' : 'off'}`);
+  console.log(`   Format: ${options.format}${options.format === 'jsonl' ? ` (per ${options.per})` : ''}`);
+  if (options.batch) {
+    console.log(`   Templates: ${options.inputs.length}`);
+  }
+  console.log('');
+
+  const failed = [];
+
+  for (const inputFile of options.inputs) {
+    try {
+      chunkFile(inputFile, resolveOutput(inputFile, options), chunker, options);
+    } catch (error) {
+      console.error(`\n❌ Error (${inputFile}):`, error.message);
+      if (!options.batch && error.stack) {
+        console.error('\nStack trace:');
+        console.error(error.stack);
+      }
+      failed.push(inputFile);
+    }
+  }
+
+  if (options.batch) {
+    console.log(`📚 Processed ${options.inputs.length - failed.length}/${options.inputs.length} templates`);
+    for (const inputFile of failed) {
+      console.log(`   ❌ ${inputFile}`);
+    }
+    console.log('');
+  }
+
+  process.exit(failed.length > 0 ? 1 : 0);
 }
 
 main();
@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+/**
+ * CLI Script: Generate Embeddings
+ *
+ * Использование:
+ * node scripts/generate-embeddings.js -i template.chunks.json
+ * node scripts/generate-embeddings.js -i templates/ --force
+ * node scripts/generate-embeddings.js load -i templates/
+ *
+ * embed (по умолчанию) - считает embeddings тем же путём, что RAGEngine.indexChunks,
+ * и записывает их в поле embedding каждого chunk в .chunks.json. Чанки, чей
+ * contentHash не изменился с прошлого запуска, пропускаются. Файл сохраняется
+ * после каждого пакета, поэтому прерванный запуск продолжается с места остановки.
+ * load - загружает такие файлы в векторную БД, не обращаясь к embedding API.
+ */
+
+const fs = require('fs');
+const RAGEngine = require('../backend/src/services/rag-engine');
+const { isChunksFile, resolveInputs } = require('./lib/input-files');
+
+const COMMANDS = ['embed', 'load'];
+
+// Парсинг аргументов командной строки
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    command: 'embed',
+    inputs: [],
+    force: false,
+    batchSize: 32,
+    provider: process.env.EMBEDDING_PROVIDER || 'openai',
+    model: process.env.EMBEDDING_MODEL,
+    baseUrl: process.env.EMBEDDING_BASE_URL,
+    dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || undefined,
+    cacheDir: process.env.EMBEDDING_CACHE_DIR,
+    store: process.env.VECTOR_STORE || 'chroma',
+    storePath: process.env.VECTOR_STORE_PATH,
+    chromaUrl: process.env.CHROMA_URL || 'http://localhost:8000',
+    collectionName: 'planner-chunks'
+  };
+
+  // Первый позиционный аргумент - команда (по умолчанию embed)
+  if (COMMANDS.includes(args[0])) {
+    options.command = args.shift();
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--input':
+      case '-i':
+        options.inputs.push(args[++i]);
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      case '--batch-size':
+        options.batchSize = parseInt(args[++i], 10);
+        break;
+      case '--provider':
+        options.provider = args[++i];
+        break;
+      case '--model':
+        options.model = args[++i];
+        break;
+      case '--base-url':
+        options.baseUrl = args[++i];
+        break;
+      case '--dimensions':
+        options.dimensions = parseInt(args[++i], 10);
+        break;
+      case '--cache-dir':
+        options.cacheDir = args[++i];
+        break;
+      case '--store':
+        options.store = args[++i];
+        break;
+      case '--store-path':
+        options.storePath = args[++i];
+        break;
+      case '--chroma-url':
+        options.chromaUrl = args[++i];
+        break;
+      case '--collection':
+        options.collectionName = args[++i];
+        break;
+      case '--help':
+      case '-h':
+        printHelp();
+        process.exit(0);
+      default:
+        console.error(`Unknown option: ${args[i]}`);
+        process.exit(1);
+    }
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+AI Planner - Embedding Generation Script
+
+Usage:
+  node scripts/generate-embeddings.js [command] [options]
+
+Commands:
+  embed                      Write embeddings into .chunks.json files (default)
+  load                       Load pre-embedded .chunks.json files into the vector store
+
+Options:
+  -i, --input <path>         .chunks.json file, directory or glob (repeatable, required)
+  --force                    embed: recompute embeddings for unchanged chunks too
+  --batch-size <number>      embed: chunks per embedding request (default: 32)
+  --provider <name>          Embedding provider: openai | openai-compatible | local
+                             (default: $EMBEDDING_PROVIDER or openai)
+  --model <name>             Embedding model (default: $EMBEDDING_MODEL or provider default)
+  --base-url <url>           openai-compatible: API base URL (default: $EMBEDDING_BASE_URL)
+  --dimensions <number>      Shortened embeddings, if the model supports them
+                             (default: $EMBEDDING_DIMENSIONS or the model's size)
+  --cache-dir <dir>          embed: on-disk embedding cache (default: $EMBEDDING_CACHE_DIR;
+                             Redis is used when $REDIS_URL is set)
+  --store <name>             load: vector store: chroma | file (default: $VECTOR_STORE or chroma)
+  --store-path <dir>         load: file store directory (default: $VECTOR_STORE_PATH or ./data/vectors)
+  --chroma-url <url>         load: ChromaDB URL (default: $CHROMA_URL or http://localhost:8000)
+  --collection <name>        load: collection name (default: planner-chunks)
+  -h, --help                 Show this help message
+
+Environment:
+  OPENAI_API_KEY             Required by the openai provider when some chunks need new embeddings
+  EMBEDDING_API_KEY          Bearer token for the openai-compatible provider
+
+Examples:
+  # Embed changed chunks of every chunked template
+  node scripts/generate-embeddings.js -i templates/
+
+  # Offline embeddings, no API key needed
+  node scripts/generate-embeddings.js -i templates/ --provider local
+
+  # Load embedded chunks into ChromaDB (no embedding API calls)
+  node scripts/generate-embeddings.js load -i templates/ --chroma-url http://localhost:8000
+
+  # Load into the embedded file store (no ChromaDB server)
+  node scripts/generate-embeddings.js load -i templates/ --store file --store-path backend/data/vectors
+`);
+}
+
+function validateOptions(options) {
+  if (options.inputs.length === 0) {
+    console.error('❌ Error: Input file is required (use --input or -i)');
+    process.exit(1);
+  }
+
+  options.files = [...new Set(options.inputs.flatMap(input => resolveInputs(input, isChunksFile)))];
+
+  if (options.files.length === 0) {
+    console.error(`❌ Error: No .chunks.json files found: ${options.inputs.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (!(options.batchSize >= 1)) {
+    console.error('❌ Error: Batch size must be at least 1');
+    process.exit(1);
+  }
+
+  if (options.dimensions !== undefined && !(options.dimensions >= 1)) {
+    console.error('❌ Error: Dimensions must be a positive number');
+    process.exit(1);
+  }
+}
+
+async function embedFile(file, rag, options) {
+  const chunkedTemplate = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const pending = chunkedTemplate.chunks.filter(chunk => options.force || !rag.hasFreshEmbedding(chunk));
+
+  console.log(`📖 ${file}: ${chunkedTemplate.chunks.length} chunks, ${pending.length} to embed`);
+
+  if (pending.length === 0) {
+    return { embedded: 0, skipped: chunkedTemplate.chunks.length, failed: 0 };
+  }
+
+  // Прогресс сохраняется после каждого пакета
+  const save = () => {
+    chunkedTemplate.metadata = {
+      ...chunkedTemplate.metadata,
+      embeddingProvider: rag.embedder.id,
+      embeddedAt: new Date().toISOString()
+    };
+    fs.writeFileSync(file, JSON.stringify(chunkedTemplate, null, 2), 'utf8');
+  };
+
+  const result = await rag.embedChunks(chunkedTemplate.chunks, {
+    force: options.force,
+    batchSize: options.batchSize,
+    onBatch: async () => save()
+  });
+
+  console.log(`   💾 Saved ${result.embedded} embeddings${result.failed ? `, ${result.failed} failed` : ''}\n`);
+
+  if (result.failed > 0) {
+    for (const error of result.errors) {
+      console.error(`   ❌ ${error.chunkIds.join(', ')}: ${error.message}`);
+    }
+  }
+
+  return { embedded: result.embedded, skipped: result.skipped, failed: result.failed };
+}
+
+async function loadFile(file, rag) {
+  const chunkedTemplate = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const templateId = chunkedTemplate.id || 'default';
+
+  console.log(`📖 ${file}: ${chunkedTemplate.chunks.length} chunks → ${templateId}`);
+
+  // Повторная загрузка заменяет прежний индекс шаблона (после проверки embeddings)
+  await rag.checkChunkEmbeddings(chunkedTemplate.chunks);
+  await rag.deleteTemplateIndex(templateId);
+  await rag.storeChunks(chunkedTemplate.chunks, templateId, {
+    category: chunkedTemplate.metadata?.category
+  });
+  await rag.flushIndex();
+  console.log('');
+
+  return { loaded: chunkedTemplate.chunks.length };
+}
+
+async function main() {
+  const options = parseArgs();
+  validateOptions(options);
+
+  console.log('🤖 AI Planner - Embedding Generation Tool');
+
+  let rag;
+  try {
+    rag = new RAGEngine({
+      openaiApiKey: process.env.OPENAI_API_KEY,
+      embeddingProvider: options.provider,
+      embeddingModel: options.model,
+      embeddingBaseUrl: options.baseUrl,
+      embeddingApiKey: process.env.EMBEDDING_API_KEY,
+      embeddingDimensions: options.dimensions,
+      redisUrl: process.env.REDIS_URL,
+      embeddingCacheDir: options.cacheDir,
+      vectorStore: options.store,
+      vectorStorePath: options.storePath,
+      chromaUrl: options.chromaUrl,
+      collectionName: options.collectionName
+    });
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+
+  console.log(`   Embeddings: ${rag.embedder.id}\n`);
+
+  const totals = { embedded: 0, skipped: 0, failed: 0, loaded: 0 };
+  const failed = [];
+
+  for (const file of options.files) {
+    try {
+      const result = options.command === 'load'
+        ? await loadFile(file, rag)
+        : await embedFile(file, rag, options);
+
+      for (const key of Object.keys(result)) {
+        totals[key] += result[key];
+      }
+    } catch (error) {
+      console.error(`\n❌ Error (${file}):`, error.message);
+      failed.push(file);
+    }
+  }
+
+  console.log('📊 Summary:');
+  console.log(`   Files: ${options.files.length - failed.length}/${options.files.length}`);
+  if (options.command === 'load') {
+    console.log(`   Chunks loaded: ${totals.loaded}`);
+  } else {
+    console.log(`   Embedded: ${totals.embedded}`);
+    console.log(`   Skipped (unchanged): ${totals.skipped}`);
+    console.log(`   Failed: ${totals.failed}${totals.failed ? ' (re-run to resume)' : ''}`);
+
+    const cache = rag.getEmbeddingCacheStats();
+    if (cache) {
+      console.log(`   Cache (${cache.backend}): ${cache.hits} hits, ${cache.misses} misses`);
+    }
+  }
+  for (const file of failed) {
+    console.log(`   ❌ ${file}`);
+  }
+  console.log('');
+
+  process.exit(failed.length > 0 || totals.failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,107 @@
+/**
+ * Разбор --input для CLI-скриптов: файл, директория или glob
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const GLOB_CHARS = /[*?]/;
+
+// Исходные шаблоны (результаты чанкинга пропускаются)
+function isTemplateFile(name) {
+  return name.endsWith('.json') && !name.endsWith('.chunks.json');
+}
+
+// Результаты чанкинга
+function isChunksFile(name) {
+  return name.endsWith('.chunks.json');
+}
+
+/**
+ * Файлы для --input: файл, директория (рекурсивно) или glob (`*`, `?`, `**`)
+ * @param {string} input
+ * @param {Function} accept - Фильтр имён файлов при обходе директорий
+ * @returns {Array<string>}
+ */
+function resolveInputs(input, accept) {
+  const stat = fs.statSync(input, { throwIfNoEntry: false });
+
+  if (stat?.isFile()) {
+    return [input];
+  }
+
+  if (stat?.isDirectory()) {
+    return listFiles(input, accept);
+  }
+
+  if (!GLOB_CHARS.test(input)) {
+    return [];
+  }
+
+  const { baseDir, pattern } = splitGlob(input);
+
+  if (!fs.existsSync(baseDir)) {
+    return [];
+  }
+
+  return listFiles(baseDir, accept)
+    .filter(file => pattern.test(path.relative(baseDir, file).split(path.sep).join('/')));
+}
+
+/**
+ * Директория до первого сегмента с `*`/`?` и шаблон для остатка пути.
+ * Для пути без glob весь путь - директория.
+ */
+function splitGlob(input) {
+  const segments = input.split(/[\\/]/);
+  const firstGlob = segments.findIndex(segment => GLOB_CHARS.test(segment));
+
+  if (firstGlob === -1) {
+    return { baseDir: input, pattern: null };
+  }
+
+  return {
+    baseDir: segments.slice(0, firstGlob).join('/') || '.',
+    pattern: globToRegExp(segments.slice(firstGlob).join('/'))
+  };
+}
+
+function listFiles(dir, accept) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return entry.name === 'node_modules' || entry.name.startsWith('.') ? [] : listFiles(fullPath, accept);
+      }
+      return accept(entry.name) ? [fullPath] : [];
+    });
+}
+
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` - ноль или больше директорий
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+module.exports = {
+  isChunksFile,
+  isTemplateFile,
+  resolveInputs,
+  splitGlob
+};